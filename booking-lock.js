@@ -0,0 +1,22 @@
+// Run fn(client) in a transaction that holds the booking lock for one restaurant
+// and date, so two requests cannot both see the same table as free and book it.
+// The transaction is rolled back when fn returns an { error } result.
+export async function withBookingLock(pool, { restaurant_id, date }, fn) {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    await client.query(
+      'SELECT pg_advisory_xact_lock($1, $2)',
+      [Number(restaurant_id), Number(date.replace(/-/g, ''))]
+    )
+
+    const result = await fn(client)
+    await client.query(result && result.error ? 'ROLLBACK' : 'COMMIT')
+    return result
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
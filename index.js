@@ -6,6 +6,7 @@ import { fileURLToPath } from 'url'
 import { Pool } from 'pg'
 import bcrypt from 'bcrypt'
 import jwt from 'jsonwebtoken'
+import { withBookingLock } from './booking-lock.js'
 
 dotenv.config()
 const app = express()
@@ -15,6 +16,10 @@ const JWT_SECRET = process.env.JWT_SECRET
 // Note: __dirname is not available in ES modules
 // If you need path operations, use fileURLToPath(import.meta.url) workaround
 
+// Vercel puts one proxy in front of the app; trusting it makes req.ip the client's
+// address. Set TRUST_PROXY_HOPS=0 when the server is reached directly.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1))
+
 app.use(express.json())
 app.use(cors())
 // Note: cors() middleware automatically handles OPTIONS preflight requests
@@ -54,6 +59,10 @@ function authenticateToken(req, res, next) {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' })
     }
+    // A guest's manage-booking link only grants access to that one booking
+    if (user.type === 'guest_booking') {
+      return res.status(403).json({ error: 'Customer access required' })
+    }
     req.user = user
     next()
   })
@@ -101,6 +110,35 @@ function authenticateAdminToken(req, res, next) {
   })
 }
 
+// Middleware: Verify a guest's manage-booking token, sent as a bearer token or ?token=
+function authenticateGuestBookingToken(req, res, next) {
+  const authHeader = req.headers['authorization']
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.token
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' })
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, booking) => {
+    if (err) {
+      return res.status(403).json({ error: 'Invalid or expired link' })
+    }
+    if (booking.type !== 'guest_booking') {
+      return res.status(403).json({ error: 'Guest booking link required' })
+    }
+    req.guestBooking = booking
+    next()
+  })
+}
+
+// Middleware: Require a manager role (use after authenticateStaffToken)
+function requireManager(req, res, next) {
+  if (req.staff.role !== 'manager') {
+    return res.status(403).json({ error: 'Manager access required' })
+  }
+  next()
+}
+
 // ============================================
 // AUTH ROUTES
 // ============================================
@@ -275,8 +313,13 @@ app.get('/api/restaurants', async (req, res) => {
 app.get('/api/restaurants/:id', async (req, res) => {
   try {
     const { id } = req.params
+    // Columns are listed so staff-only settings such as calendar_feed_token stay private
     const result = await pool.query(
-      `SELECT * FROM restaurant WHERE id = $1 AND is_active = true`,
+      `SELECT id, name, description, address, email, phone,
+              opening_time, closing_time, cuisine_type, created_at,
+              image_url, max_capacity, free_cancellation_hours, cancellation_cutoff_hours
+       FROM restaurant
+       WHERE id = $1 AND is_active = true`,
       [id]
     )
 
@@ -284,47 +327,135 @@ app.get('/api/restaurants/:id', async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' })
     }
 
-    res.json(result.rows[0])
+    res.json({
+      ...result.rows[0],
+      ...(await getOpeningHours(pool, id)),
+      cancellation_policy: getCancellationPolicy(result.rows[0])
+    })
   } catch (error) {
     console.error('Get restaurant error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
+// Get a restaurant's dining areas, for customers choosing a seating preference
+app.get('/api/restaurants/:id/dining-areas', async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const result = await pool.query(
+      `SELECT id, name, description, is_smoking, is_outdoor, is_wheelchair_accessible
+       FROM dining_area
+       WHERE restaurant_id = $1 AND is_active = true
+       ORDER BY sort_order, name`,
+      [id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get dining areas error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// iCalendar feed of a restaurant's upcoming reservations for staff calendars.
+// Protected by the feed token from GET /api/staff/settings/calendar-feed, since
+// calendar apps cannot send a login token.
+app.get('/api/restaurants/:id/calendar.ics', async (req, res) => {
+  try {
+    const { id } = req.params
+    const token = String(req.query.token || '')
+
+    const restaurantResult = await pool.query(
+      'SELECT id, name, address, calendar_feed_token FROM restaurant WHERE id = $1',
+      [id]
+    )
+    const restaurant = restaurantResult.rows[0]
+
+    const expected = Buffer.from(restaurant?.calendar_feed_token || '')
+    const given = Buffer.from(token)
+    if (!restaurant || expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(404).json({ error: 'Calendar feed not found' })
+    }
+
+    const result = await pool.query(
+      `SELECT r.*, COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name,
+              COALESCE(r.guest_phone, c.phone) as customer_phone,
+              (SELECT json_agg(t.table_number ORDER BY t.table_number)
+               FROM reservation_table rt
+               JOIN "table" t ON t.id = rt.table_id
+               WHERE rt.reservation_id = r.id) as table_numbers
+       FROM reservation r
+       LEFT JOIN customer c ON c.id = r.customer_id
+       WHERE r.restaurant_id = $1
+         AND r.reservation_date BETWEEN $2::date AND $2::date + $3::integer
+         AND r.status NOT IN ('cancelled', 'no-show', 'completed')
+       ORDER BY r.reservation_date, r.reservation_time`,
+      [restaurant.id, getLocalNow().date, CALENDAR_FEED_DAYS]
+    )
+
+    const reservations = result.rows.map(reservation => ({
+      ...reservation,
+      restaurant_name: restaurant.name,
+      restaurant_address: restaurant.address
+    }))
+
+    sendCalendar(res, buildReservationCalendar(reservations, {
+      name: `${restaurant.name} reservations`,
+      turnTimes: await getRestaurantTurnTimes(pool, restaurant.id),
+      forStaff: true
+    }))
+  } catch (error) {
+    console.error('Get restaurant calendar feed error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 // Get restaurant floor plan (all tables or available for a time slot)
 app.get('/api/restaurants/:id/floor-plan', async (req, res) => {
   try {
     const { id } = req.params
-    const { date, time } = req.query
+    const { date, time, party_size, hold_token, area_id } = req.query
 
-    let query = `
-      SELECT id, table_number, capacity, is_available, location, created_at
-      FROM "table"
-      WHERE restaurant_id = $1 AND is_available = true
-    `
-    const params = [id]
+    if (area_id && !Number.isInteger(Number(area_id))) {
+      return res.status(400).json({ error: 'Invalid area' })
+    }
+
+    const result = await pool.query(
+      `SELECT id, table_number, capacity, is_available, location, dining_area_id, created_at
+       FROM "table"
+       WHERE restaurant_id = $1 AND is_available = true
+         AND ($2::integer IS NULL OR dining_area_id = $2)
+       ORDER BY table_number`,
+      [id, area_id || null]
+    )
 
     // If date and time provided, filter out booked tables
     if (date && time) {
-      query += `
-        AND id NOT IN (
-          SELECT table_id FROM reservation 
-          WHERE restaurant_id = $1 
-            AND reservation_date = $2
-            AND status NOT IN ('cancelled', 'no-show')
-            AND (
-              (reservation_time >= $3 AND reservation_time < $3::time + interval '2 hours')
-              OR
-              (reservation_time < $3 AND reservation_time + interval '2 hours' > $3)
-            )
-        )
-      `
-      params.push(date, time)
-    }
+      if (!isValidDateString(date) || !isValidTimeString(time)) {
+        return res.status(400).json({ error: 'Invalid date or time' })
+      }
 
-    query += ' ORDER BY table_number'
+      // The caller's own hold (passed as hold_token) does not hide their table
+      const context = await loadAvailabilityContext(pool, { restaurant_id: id, date, exclude_hold_token: hold_token || null })
+      if (!context) {
+        return res.status(404).json({ error: 'Restaurant not found' })
+      }
+
+      // Without a party size, check each table for a party that fills it
+      const start = timeToMinutes(time)
+      const occupiedByDuration = {}
+      const freeTables = result.rows.filter(table => {
+        const duration = getTurnTimeMinutes(context, Number(party_size) || table.capacity)
+        if (!occupiedByDuration[duration]) {
+          occupiedByDuration[duration] = getOccupiedTableIds(context, start, duration)
+        }
+        return !occupiedByDuration[duration].has(table.id)
+      })
+
+      return res.json(freeTables)
+    }
 
-    const result = await pool.query(query, params)
     res.json(result.rows)
   } catch (error) {
     console.error('Get floor plan error:', error)
@@ -332,6 +463,143 @@ app.get('/api/restaurants/:id/floor-plan', async (req, res) => {
   }
 })
 
+// Get bookable time slots for a date and party size
+app.get('/api/restaurants/:id/availability', async (req, res) => {
+  try {
+    const { id } = req.params
+    const { date, hold_token, area_id } = req.query
+    const party_size = Number(req.query.party_size)
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'A valid date (YYYY-MM-DD) is required' })
+    }
+
+    if (!Number.isInteger(party_size) || party_size < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    if (area_id && !Number.isInteger(Number(area_id))) {
+      return res.status(400).json({ error: 'Invalid area' })
+    }
+
+    const context = await loadAvailabilityContext(pool, { restaurant_id: id, date, exclude_hold_token: hold_token || null })
+    if (!context) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    res.json({
+      restaurant_id: context.restaurant.id,
+      date,
+      party_size,
+      area_id: area_id ? Number(area_id) : null,
+      slot_interval_minutes: SLOT_INTERVAL_MINUTES,
+      dining_duration_minutes: getTurnTimeMinutes(context, party_size),
+      is_closed: context.servicePeriods.length === 0,
+      closure_note: context.closureNote,
+      slots: getAvailableSlots(context, party_size, { area_id: area_id || null })
+    })
+  } catch (error) {
+    console.error('Get availability error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// How long a table is held while the customer completes their booking
+const TABLE_HOLD_MINUTES = 5
+
+// Hold a table for a slot during checkout. Pass the returned hold_token to
+// POST /api/reservations to book the held table.
+app.post('/api/restaurants/:id/holds', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reservation_date, reservation_time, table_id, table_ids } = req.body
+    const party_size = Number(req.body.party_size)
+
+    // The id is part of the booking lock key, so it has to be a whole number
+    if (!Number.isInteger(Number(id))) {
+      return res.status(400).json({ error: 'Invalid restaurant' })
+    }
+
+    if (!isValidDateString(reservation_date) || !isValidTimeString(reservation_time)) {
+      return res.status(400).json({ error: 'Invalid reservation date or time' })
+    }
+
+    if (!Number.isInteger(party_size) || party_size < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    // A customer keeps one hold per restaurant; a new one replaces the old
+    await pool.query(
+      'DELETE FROM reservation_hold WHERE restaurant_id = $1 AND customer_id = $2',
+      [id, req.user.id]
+    )
+
+    const hold_token = crypto.randomBytes(24).toString('hex')
+    const hold = await withBookingLock(pool, { restaurant_id: id, date: reservation_date }, async (client) => {
+      const context = await loadAvailabilityContext(client, { restaurant_id: id, date: reservation_date })
+      if (!context) {
+        return { status: 404, error: 'Restaurant not found' }
+      }
+
+      const slot = evaluateSlot(context, {
+        start: timeToMinutes(reservation_time),
+        party_size,
+        table_ids: Array.isArray(table_ids) ? table_ids : (table_id ? [table_id] : null)
+      })
+
+      if (!slot.available) {
+        return { status: slot.status, error: slot.error }
+      }
+
+      const result = await client.query(
+        `INSERT INTO reservation_hold (restaurant_id, customer_id, hold_token, reservation_date, reservation_time, party_size, table_ids, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8))
+         RETURNING expires_at`,
+        [id, req.user.id, hold_token, reservation_date, reservation_time, party_size, slot.tables.map(table => table.id), TABLE_HOLD_MINUTES]
+      )
+
+      return { expires_at: result.rows[0].expires_at, tables: slot.tables }
+    })
+
+    if (hold.error) {
+      return res.status(hold.status).json({ error: hold.error })
+    }
+
+    res.status(201).json({
+      hold_token,
+      expires_at: hold.expires_at,
+      reservation_date,
+      reservation_time,
+      party_size,
+      tables: hold.tables.map(table => ({ id: table.id, table_number: table.table_number }))
+    })
+  } catch (error) {
+    console.error('Create table hold error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Release a table hold early
+app.delete('/api/restaurants/:id/holds/:token', authenticateToken, async (req, res) => {
+  try {
+    const { id, token } = req.params
+
+    const result = await pool.query(
+      'DELETE FROM reservation_hold WHERE restaurant_id = $1 AND hold_token = $2 AND customer_id = $3 RETURNING id',
+      [id, token, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Hold not found' })
+    }
+
+    res.json({ message: 'Hold released' })
+  } catch (error) {
+    console.error('Release table hold error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 // Get menu categories for a restaurant (restaurant/:id/categories)
 app.get('/api/restaurants/:id/categories', async (req, res) => {
   try {
@@ -379,7 +647,16 @@ app.get('/api/restaurants/:id/items', async (req, res) => {
     query += ' ORDER BY mi.category_id, mi.id'
 
     const result = await pool.query(query, params)
-    res.json(result.rows)
+
+    // Customers only see the options they can currently choose
+    const optionGroups = await getMenuOptionGroups(pool, result.rows.map(item => item.id))
+    res.json(result.rows.map(item => ({
+      ...item,
+      option_groups: (optionGroups.get(item.id) || []).map(group => ({
+        ...group,
+        options: group.options.filter(option => option.is_available)
+      }))
+    })))
   } catch (error) {
     console.error('Get menu items error:', error)
     res.status(500).json({ error: 'Internal server error' })
@@ -390,6 +667,83 @@ app.get('/api/restaurants/:id/items', async (req, res) => {
 // MENU ROUTES
 // ============================================
 
+// Get the option groups of menu items, with their options, as a Map of item id
+// to groups. Groups and options come back in display order.
+async function getMenuOptionGroups(pool, item_ids) {
+  const result = await pool.query(
+    `SELECT g.id, g.menu_item_id, g.name, g.is_required, g.min_selections, g.max_selections, g.display_order,
+            COALESCE(
+              json_agg(
+                json_build_object('id', o.id, 'name', o.name, 'price_delta', o.price_delta, 'is_available', o.is_available)
+                ORDER BY o.display_order, o.id
+              ) FILTER (WHERE o.id IS NOT NULL),
+              '[]'
+            ) as options
+     FROM menu_option_group g
+     LEFT JOIN menu_option o ON o.group_id = g.id
+     WHERE g.menu_item_id = ANY($1)
+     GROUP BY g.id
+     ORDER BY g.display_order, g.id`,
+    [item_ids]
+  )
+
+  const groups = new Map()
+  for (const group of result.rows) {
+    groups.set(group.menu_item_id, [...(groups.get(group.menu_item_id) || []), group])
+  }
+  return groups
+}
+
+// Check the options chosen for a menu item against its option groups: every
+// option must belong to the item and be available, and each group's min/max
+// selections must be met. Returns { options } describing the choices, or { error }.
+function checkOptionSelection(groups, option_ids) {
+  if (option_ids != null && (!Array.isArray(option_ids) || !option_ids.every(id => Number.isInteger(Number(id))))) {
+    return { error: 'option_ids must be an array of option ids' }
+  }
+
+  const ids = (option_ids || []).map(Number)
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'An option can only be chosen once' }
+  }
+
+  const chosen = []
+  for (const optionId of ids) {
+    const group = groups.find(g => g.options.some(o => o.id === optionId))
+    if (!group) {
+      return { error: `Option ${optionId} is not available for this item` }
+    }
+    const option = group.options.find(o => o.id === optionId)
+    if (!option.is_available) {
+      return { error: `${option.name} is currently unavailable` }
+    }
+    chosen.push({ group, option })
+  }
+
+  for (const group of groups) {
+    const count = chosen.filter(choice => choice.group === group).length
+    if (count < group.min_selections) {
+      return {
+        error: group.min_selections === group.max_selections
+          ? `Choose ${group.min_selections} option(s) for ${group.name}`
+          : `Choose at least ${group.min_selections} option(s) for ${group.name}`
+      }
+    }
+    if (count > group.max_selections) {
+      return { error: `Choose at most ${group.max_selections} option(s) for ${group.name}` }
+    }
+  }
+
+  return {
+    options: chosen.map(({ group, option }) => ({
+      option_id: option.id,
+      group_name: group.name,
+      option_name: option.name,
+      price_delta: Number(option.price_delta).toFixed(2)
+    }))
+  }
+}
+
 // Get menu categories for a restaurant
 app.get('/api/menu/:restaurantId/categories', async (req, res) => {
   try {
@@ -437,7 +791,16 @@ app.get('/api/menu/:restaurantId/items', async (req, res) => {
     query += ' ORDER BY mi.category_id, mi.item_name'
 
     const result = await pool.query(query, params)
-    res.json(result.rows)
+
+    // Customers only see the options they can currently choose
+    const optionGroups = await getMenuOptionGroups(pool, result.rows.map(item => item.id))
+    res.json(result.rows.map(item => ({
+      ...item,
+      option_groups: (optionGroups.get(item.id) || []).map(group => ({
+        ...group,
+        options: group.options.filter(option => option.is_available)
+      }))
+    })))
   } catch (error) {
     console.error('Get menu items error:', error)
     res.status(500).json({ error: 'Internal server error' })
@@ -475,9 +838,12 @@ app.get('/api/cart', authenticateToken, async (req, res) => {
 
     const cart = cartResult.rows[0]
 
-    // Get cart items
+    // Get cart items with the options chosen for each
     const itemsResult = await pool.query(
-      `SELECT ci.*, mi.item_name, mi.price, mi.image_url, mi.description
+      `SELECT ci.*, mi.item_name, mi.price, mi.image_url, mi.description,
+              (SELECT json_agg(json_build_object('id', mo.id, 'name', mo.name, 'price_delta', mo.price_delta) ORDER BY mo.id)
+               FROM menu_option mo
+               WHERE mo.id = ANY(ci.option_ids)) as options
        FROM cart_item ci
        LEFT JOIN menu_item mi ON mi.id = ci.item_id
        WHERE ci.cart_id = $1`,
@@ -497,9 +863,28 @@ app.get('/api/cart', authenticateToken, async (req, res) => {
 // Add item to cart
 app.post('/api/cart/items', authenticateToken, async (req, res) => {
   try {
-    const { restaurant_id, item_id, quantity, special_instruction } = req.body
+    const { restaurant_id, item_id, quantity, special_instruction, option_ids } = req.body
     const customer_id = req.user.id
 
+    // The item must be on this restaurant's menu and the options valid for it
+    const itemResult = await pool.query(
+      `SELECT mi.id FROM menu_item mi
+       JOIN menu_category mc ON mc.id = mi.category_id
+       WHERE mi.id = $1 AND mc.restaurant_id = $2`,
+      [item_id, restaurant_id]
+    )
+
+    if (itemResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Menu item not found' })
+    }
+
+    const optionGroups = await getMenuOptionGroups(pool, [itemResult.rows[0].id])
+    const selection = checkOptionSelection(optionGroups.get(itemResult.rows[0].id) || [], option_ids)
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error })
+    }
+    const optionIds = selection.options.map(option => option.option_id).sort((a, b) => a - b)
+
     // Find or create cart
     let cartResult = await pool.query(
       'SELECT * FROM cart WHERE customer_id = $1 AND restaurant_id = $2',
@@ -517,10 +902,10 @@ app.post('/api/cart/items', authenticateToken, async (req, res) => {
       cart = cartResult.rows[0]
     }
 
-    // Check if item already in cart
+    // Check if item already in cart with the same options
     const existingItem = await pool.query(
-      'SELECT * FROM cart_item WHERE cart_id = $1 AND item_id = $2',
-      [cart.id, item_id]
+      'SELECT * FROM cart_item WHERE cart_id = $1 AND item_id = $2 AND option_ids = $3',
+      [cart.id, item_id, optionIds]
     )
 
     if (existingItem.rows.length > 0) {
@@ -532,8 +917,8 @@ app.post('/api/cart/items', authenticateToken, async (req, res) => {
     } else {
       // Add new item
       await pool.query(
-        'INSERT INTO cart_item (cart_id, item_id, quantity, special_instruction) VALUES ($1, $2, $3, $4)',
-        [cart.id, item_id, quantity, special_instruction]
+        'INSERT INTO cart_item (cart_id, item_id, quantity, special_instruction, option_ids) VALUES ($1, $2, $3, $4, $5)',
+        [cart.id, item_id, quantity, special_instruction, optionIds]
       )
     }
 
@@ -627,422 +1012,3427 @@ async function createCustomerNotification(pool, { customer_id, type, title, mess
 }
 
 // ============================================
-// RESERVATION ROUTES
+// AVAILABILITY ENGINE
 // ============================================
 
-// Create a reservation
-app.post('/api/reservations', authenticateToken, async (req, res) => {
-  try {
-    const { 
-      restaurant_id, 
-      table_id,  // Single table_id instead of table_ids array
-      reservation_date, 
-      reservation_time, 
-      party_size, 
-      special_requests,
-      customer_name,
-      customer_phone,
-      customer_email
-    } = req.body
-    const customer_id = req.user.id
+// Bookable slots are offered every SLOT_INTERVAL_MINUTES. A booking holds its
+// table for the restaurant's turn time, or DEFAULT_DINING_MINUTES when no
+// turn time is configured for the party size.
+const SLOT_INTERVAL_MINUTES = 15
+const DEFAULT_DINING_MINUTES = 120
 
-    if (!restaurant_id || !reservation_date || !reservation_time || !party_size) {
-      return res.status(400).json({ error: 'Missing required fields' })
-    }
+// Convert a 'HH:MM' or 'HH:MM:SS' time to minutes after midnight
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number)
+  return hours * 60 + (minutes || 0)
+}
 
-    // Check if table is available for the requested time slot (2 hours)
-    if (table_id) {
-      const checkAvailability = await pool.query(
-        `SELECT id FROM reservation 
-         WHERE restaurant_id = $1 
-           AND table_id = $2 
-           AND reservation_date = $3 
-           AND status NOT IN ('cancelled', 'no-show')
-           AND (
-             -- Check if requested time overlaps with existing reservation (2-hour slots)
-             (reservation_time >= $4 AND reservation_time < $4::time + interval '2 hours')
-             OR
-             (reservation_time < $4 AND reservation_time + interval '2 hours' > $4)
-           )`,
-        [restaurant_id, table_id, reservation_date, reservation_time]
-      )
+// Convert minutes after midnight back to a 'HH:MM' time
+function minutesToTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
 
-      if (checkAvailability.rows.length > 0) {
-        return res.status(400).json({ error: 'This table is not available for the selected time slot. Please choose a different time or table.' })
-      }
-    }
+// Format a JS Date as a local 'YYYY-MM-DD' string
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
 
-    // Get customer info for notification
-    const customerResult = await pool.query(
-      'SELECT first_name, last_name, email FROM customer WHERE id = $1',
-      [customer_id]
-    )
-    const customer = customerResult.rows[0] || { first_name: 'Guest', last_name: '', email: customer_email }
-    const customerName = customer_name || `${customer.first_name} ${customer.last_name}`.trim() || 'Guest'
+// Time zone the restaurants' dates and times are in. The server may run in
+// another zone (Vercel functions run in UTC), so "now" is always taken here.
+const RESTAURANT_TIME_ZONE = process.env.RESTAURANT_TIME_ZONE || 'Asia/Kuala_Lumpur'
+
+// The restaurants' local date ('YYYY-MM-DD') and minutes after midnight at a moment
+function getLocalNow(at = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: RESTAURANT_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).map(part => [part.type, part.value])
+  )
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  }
+}
 
-    // Create reservation
-    const result = await pool.query(
-      `INSERT INTO reservation 
-        (customer_id, restaurant_id, table_id, reservation_date, reservation_time, party_size, special_requests, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
-       RETURNING *`,
-      [customer_id, restaurant_id, table_id || null, reservation_date, reservation_time, party_size, special_requests]
-    )
+// Normalise a DATE column (returned by pg as a JS Date) to 'YYYY-MM-DD'
+function toDateString(value) {
+  return value instanceof Date ? formatDate(value) : String(value).slice(0, 10)
+}
 
-    const reservation = result.rows[0]
+// Get the day of the week (0 = Sunday) for a 'YYYY-MM-DD' date
+function getDayOfWeek(date) {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(year, month - 1, day).getDay()
+}
 
-    // Create notification for staff
-    await createNotification(pool, {
-      restaurant_id,
-      type: 'reservation_new',
-      title: 'New Reservation',
-      message: `${customerName} made a reservation for ${party_size} guest(s) on ${reservation_date} at ${reservation_time}`,
-      reservation_id: reservation.id
-    })
+// Check that a value is a real calendar date in 'YYYY-MM-DD' format
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false
+  }
+  const [year, month, day] = value.split('-').map(Number)
+  const date = new Date(year, month - 1, day)
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+}
 
-    res.status(201).json({
-      message: 'Reservation created successfully',
-      reservation
-    })
-  } catch (error) {
-    console.error('Create reservation error:', error)
-    res.status(500).json({ error: 'Internal server error: ' + error.message })
+// Check that a value is a valid 'HH:MM' or 'HH:MM:SS' time
+function isValidTimeString(value) {
+  if (typeof value !== 'string' || !/^\d{2}:\d{2}(:\d{2})?$/.test(value)) {
+    return false
   }
-})
+  const [hours, minutes, seconds = 0] = value.split(':').map(Number)
+  return hours < 24 && minutes < 60 && seconds < 60
+}
 
-// Get customer reservations
-app.get('/api/reservations', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT r.*, rest.name as restaurant_name
+// Load the restaurant, its tables and the active reservations for one date.
+// Unexpired table holds are included as reservations so nobody else can take them.
+// Pass exclude_reservation_id to leave a booking out (e.g. when moving it), and
+// exclude_hold_token to leave out the caller's own hold.
+// Returns null when the restaurant does not exist or is inactive.
+async function loadAvailabilityContext(pool, { restaurant_id, date, exclude_reservation_id = null, exclude_hold_token = null }) {
+  const restaurantResult = await pool.query(
+    `SELECT id, name, opening_time, closing_time, no_show_threshold, no_show_action, no_show_deposit_per_guest
+     FROM restaurant WHERE id = $1 AND is_active = true`,
+    [restaurant_id]
+  )
+
+  if (restaurantResult.rows.length === 0) {
+    return null
+  }
+
+  const [tablesResult, reservationsResult, turnTimesResult, weeklyHoursResult, exceptionsResult, pacingResult, combinationsResult, depositRulesResult, holdsResult, blocksResult] = await Promise.all([
+    pool.query(
+      `SELECT id, table_number, capacity, location, dining_area_id
+       FROM "table"
+       WHERE restaurant_id = $1 AND is_available = true
+       ORDER BY capacity, table_number`,
+      [restaurant_id]
+    ),
+    pool.query(
+      `SELECT r.id, r.table_id, r.reservation_time, r.party_size,
+              COALESCE(
+                (SELECT array_agg(rt.table_id) FROM reservation_table rt WHERE rt.reservation_id = r.id),
+                CASE WHEN r.table_id IS NULL THEN ARRAY[]::integer[] ELSE ARRAY[r.table_id] END
+              ) as table_ids
        FROM reservation r
-       LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
-       WHERE r.customer_id = $1
-       ORDER BY r.reservation_date DESC, r.reservation_time DESC`,
-      [req.user.id]
+       WHERE r.restaurant_id = $1
+         AND r.reservation_date = $2
+         AND r.status NOT IN ('cancelled', 'no-show', 'completed')
+         AND ($3::integer IS NULL OR r.id != $3)`,
+      [restaurant_id, date, exclude_reservation_id]
+    ),
+    pool.query(
+      `SELECT min_party_size, max_party_size, day_of_week, duration_minutes
+       FROM turn_time
+       WHERE restaurant_id = $1 AND (day_of_week IS NULL OR day_of_week = $2)`,
+      [restaurant_id, getDayOfWeek(date)]
+    ),
+    pool.query(
+      'SELECT day_of_week, service_name, open_time, close_time FROM opening_hours WHERE restaurant_id = $1',
+      [restaurant_id]
+    ),
+    pool.query(
+      `SELECT is_closed, service_name, open_time, close_time, note
+       FROM opening_hours_exception
+       WHERE restaurant_id = $1 AND exception_date = $2`,
+      [restaurant_id, date]
+    ),
+    pool.query(
+      'SELECT interval_minutes, max_covers, max_reservations, service_name FROM pacing_rule WHERE restaurant_id = $1',
+      [restaurant_id]
+    ),
+    pool.query(
+      'SELECT id, name, table_ids, capacity FROM table_combination WHERE restaurant_id = $1 ORDER BY capacity',
+      [restaurant_id]
+    ),
+    pool.query(
+      `SELECT amount_per_guest, min_party_size, day_of_week, start_time, end_time
+       FROM deposit_rule
+       WHERE restaurant_id = $1 AND is_active = true AND (day_of_week IS NULL OR day_of_week = $2)`,
+      [restaurant_id, getDayOfWeek(date)]
+    ),
+    pool.query(
+      `SELECT table_ids, reservation_time, party_size
+       FROM reservation_hold
+       WHERE restaurant_id = $1
+         AND reservation_date = $2
+         AND expires_at > NOW()
+         AND ($3::varchar IS NULL OR hold_token != $3)`,
+      [restaurant_id, date, exclude_hold_token]
+    ),
+    pool.query(
+      `SELECT table_id, reason,
+              GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (starts_at - $2::date::timestamp)) / 60))::integer as start_minute,
+              LEAST(1440, CEIL(EXTRACT(EPOCH FROM (ends_at - $2::date::timestamp)) / 60))::integer as end_minute
+       FROM table_block
+       WHERE restaurant_id = $1 AND starts_at < ($2::date + 1)::timestamp AND ends_at > $2::date::timestamp`,
+      [restaurant_id, date]
     )
-    res.json(result.rows)
-  } catch (error) {
-    console.error('Get reservations error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+  ])
+
+  // A combination can only be used while all of its tables are in service
+  const tableIds = new Set(tablesResult.rows.map(table => table.id))
+  const combinations = combinationsResult.rows.filter(combination =>
+    combination.table_ids.every(tableId => tableIds.has(tableId))
+  )
+
+  const context = {
+    restaurant: restaurantResult.rows[0],
+    date,
+    tables: tablesResult.rows,
+    combinations,
+    turnTimes: turnTimesResult.rows,
+    pacingRules: pacingResult.rows,
+    depositRules: depositRulesResult.rows,
+    blocks: blocksResult.rows.map(block => ({ table_id: block.table_id, reason: block.reason, start: block.start_minute, end: block.end_minute })),
+    closureNote: null
   }
-})
 
-// Update reservation
-app.put('/api/reservations/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params
-    const { status, special_requests } = req.body
+  context.servicePeriods = getServicePeriods(context, weeklyHoursResult.rows, exceptionsResult.rows)
 
-    const result = await pool.query(
-      `UPDATE reservation 
-       SET status = COALESCE($1, status), 
-           special_requests = COALESCE($2, special_requests)
-       WHERE id = $3 AND customer_id = $4
-       RETURNING *`,
-      [status, special_requests, id, req.user.id]
-    )
+  const holds = holdsResult.rows.map(hold => ({ ...hold, id: null, table_id: hold.table_ids[0], is_hold: true }))
+  context.reservations = [...reservationsResult.rows, ...holds].map(reservation => ({
+    ...reservation,
+    start: timeToMinutes(reservation.reservation_time),
+    duration: getTurnTimeMinutes(context, reservation.party_size)
+  }))
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Reservation not found' })
+  return context
+}
+
+// Work out the service periods ({ name, start, end } in minutes) open on the context's date.
+// Dated exceptions replace the weekly schedule for that day, and a restaurant
+// without a weekly schedule falls back to its single opening/closing time.
+function getServicePeriods(context, weeklyHours, exceptions) {
+  const toPeriod = (row) => ({
+    name: row.service_name || null,
+    start: timeToMinutes(row.open_time),
+    end: timeToMinutes(row.close_time)
+  })
+
+  if (exceptions.length > 0) {
+    const closure = exceptions.find(exception => exception.is_closed)
+    if (closure) {
+      context.closureNote = closure.note || null
+      return []
     }
+    return exceptions.map(toPeriod).sort((a, b) => a.start - b.start)
+  }
 
-    res.json({
-      message: 'Reservation updated successfully',
-      reservation: result.rows[0]
-    })
-  } catch (error) {
-    console.error('Update reservation error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+  if (weeklyHours.length > 0) {
+    const dayOfWeek = getDayOfWeek(context.date)
+    return weeklyHours
+      .filter(row => row.day_of_week === dayOfWeek)
+      .map(toPeriod)
+      .sort((a, b) => a.start - b.start)
   }
-})
 
-// Request cancellation (customer)
-app.post('/api/reservations/:id/request-cancellation', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params
-    const { reason } = req.body
+  const opening = timeToMinutes(context.restaurant.opening_time)
+  let closing = timeToMinutes(context.restaurant.closing_time)
 
-    // Truncate reason to 500 characters to match database column
-    const truncatedReason = reason ? reason.slice(0, 500) : null
+  // Service past midnight is not supported, so treat it as closing at midnight
+  if (closing <= opening) {
+    closing = 24 * 60
+  }
 
-    // Get reservation details for notification
-    const reservationResult = await pool.query(
-      'SELECT r.*, c.first_name, c.last_name FROM reservation r LEFT JOIN customer c ON c.id = r.customer_id WHERE r.id = $1',
-      [id]
-    )
-    const reservation = reservationResult.rows[0]
+  return [{ name: null, start: opening, end: closing }]
+}
 
-    // Only allow pending or confirmed reservations to request cancellation
-    const result = await pool.query(
-      `UPDATE reservation 
-       SET status = 'cancellation_requested',
-           cancellation_reason = $1
-       WHERE id = $2 AND customer_id = $3 AND status IN ('pending', 'confirmed')
-       RETURNING *`,
-      [truncatedReason, id, req.user.id]
-    )
+// Get how long a party of the given size keeps its table on the context's date.
+// A rule for that weekday wins over an every-day rule.
+function getTurnTimeMinutes(context, party_size) {
+  const matches = context.turnTimes
+    .filter(rule => party_size >= rule.min_party_size && (rule.max_party_size === null || party_size <= rule.max_party_size))
+    .sort((a, b) => (b.day_of_week !== null) - (a.day_of_week !== null))
 
-    if (result.rows.length === 0) {
-      return res.status(400).json({ error: 'Reservation cannot be cancelled or not found' })
-    }
+  return matches.length > 0 ? matches[0].duration_minutes : DEFAULT_DINING_MINUTES
+}
 
-    // Create notification for staff
-    const customerName = reservation ? `${reservation.first_name} ${reservation.last_name}`.trim() : 'A customer'
-    await createNotification(pool, {
-      restaurant_id: reservation.restaurant_id,
-      type: 'cancellation_request',
-      title: 'Cancellation Request',
-      message: `${customerName} requested to cancel their reservation on ${reservation.reservation_date} at ${reservation.reservation_time}. Reason: ${truncatedReason || 'No reason provided'}`,
-      reservation_id: id
-    })
+// Get the deposit per guest for a booking at start on the context's date, or 0.
+// When several deposit rules match, the highest amount applies.
+function getDepositPerGuest(context, { start, party_size }) {
+  const amounts = context.depositRules
+    .filter(rule => party_size >= rule.min_party_size)
+    .filter(rule => rule.start_time === null || start >= timeToMinutes(rule.start_time))
+    .filter(rule => rule.end_time === null || start < timeToMinutes(rule.end_time))
+    .map(rule => Number(rule.amount_per_guest))
 
-    res.json({
-      message: 'Cancellation request submitted successfully',
-      reservation: result.rows[0]
-    })
-  } catch (error) {
-    console.error('Request cancellation error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+  return amounts.length > 0 ? Math.max(...amounts) : 0
+}
+
+// Get the ids of tables that are in use at any point during [start, start + duration)
+function getOccupiedTableIds(context, start, duration) {
+  const occupied = new Set()
+  const unassigned = []
+
+  // Blocked tables are out of service for the whole block
+  for (const block of context.blocks) {
+    if (block.start < start + duration && start < block.end) {
+      occupied.add(block.table_id)
+    }
   }
-})
 
-// ============================================
-// ORDER ROUTES
-// ============================================
+  for (const reservation of context.reservations) {
+    const overlaps = reservation.start < start + duration && start < reservation.start + reservation.duration
+    if (!overlaps) continue
 
-// Create order
-app.post('/api/orders', authenticateToken, async (req, res) => {
-  try {
-    const { cart_id, reservation_id, notes, items, total_amount, restaurant_id: req_restaurant_id } = req.body
-    const customer_id = req.user.id
+    if (reservation.table_ids.length > 0) {
+      reservation.table_ids.forEach(tableId => occupied.add(tableId))
+    } else {
+      unassigned.push(reservation)
+    }
+  }
 
-    let cartItems = [];
-    let restaurant_id = req_restaurant_id;
-    let total = total_amount || 0;
+  // Bookings made without a table still need a seat, so set aside the
+  // smallest free table that fits each of them (largest parties first)
+  unassigned.sort((a, b) => b.party_size - a.party_size)
+  for (const reservation of unassigned) {
+    const table = context.tables.find(t => !occupied.has(t.id) && t.capacity >= reservation.party_size)
+    if (table) {
+      occupied.add(table.id)
+    }
+  }
 
-    // Case 1: Get items from database cart
-    if (cart_id) {
-      const cartItemsResult = await pool.query(
-        `SELECT ci.*, mi.price, mi.item_name, mi.id as item_id
-         FROM cart_item ci
-         LEFT JOIN menu_item mi ON mi.id = ci.item_id
-         WHERE ci.cart_id = $1`,
-        [cart_id]
-      )
-      cartItems = cartItemsResult.rows;
+  return occupied
+}
 
-      if (cartItems.length === 0) {
-        return res.status(400).json({ error: 'Cart is empty' })
-      }
+// Check the restaurant's pacing rules for a party arriving at the given minute.
+// Returns an error message when the arrival window is already at capacity, or null.
+function checkPacing(context, { start, party_size, period }) {
+  for (const rule of context.pacingRules) {
+    // A rule tied to a service only applies to slots in that service
+    if (rule.service_name && (!period.name || rule.service_name.toLowerCase() !== period.name.toLowerCase())) {
+      continue
+    }
 
-      // Get cart to find restaurant
-      const cart = await pool.query('SELECT * FROM cart WHERE id = $1', [cart_id])
-      restaurant_id = cart.rows[0].restaurant_id
+    const windowStart = Math.floor(start / rule.interval_minutes) * rule.interval_minutes
+    const windowEnd = windowStart + rule.interval_minutes
+    const arrivals = context.reservations.filter(r => r.start >= windowStart && r.start < windowEnd)
+    const covers = arrivals.reduce((sum, r) => sum + r.party_size, 0)
+    const window = `${minutesToTime(windowStart)} and ${minutesToTime(windowEnd)}`
 
-      // Calculate total from database items
-      total = cartItems.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0)
-    } 
-    // Case 2: Get items directly from request body (local cart)
-    else if (items && items.length > 0) {
-      // If item_id is not provided, look it up by name
-      const itemsNeedingLookup = items.filter(item => !item.item_id && !item.id);
-      const nameToIdMap = {};
-      
-      if (itemsNeedingLookup.length > 0) {
-        const itemNames = itemsNeedingLookup.map(item => item.item_name || item.name);
-        const itemLookupResult = await pool.query(
-          `SELECT id, item_name FROM menu_item WHERE item_name = ANY($1)`,
-          [itemNames]
-        );
-        
-        itemLookupResult.rows.forEach(row => {
-          nameToIdMap[row.item_name] = row.id;
-        });
-      }
-      
-      cartItems = items.map(item => ({
-        ...item,
-        item_id: item.item_id || item.id || nameToIdMap[item.item_name || item.name] || null,
-        item_name: item.item_name || item.name,
-        special_instruction: item.special_instructions || item.special_instruction
-      }));
-      
-      if (!restaurant_id) {
-        return res.status(400).json({ error: 'Restaurant ID is required' })
-      }
-      
-      total = total || cartItems.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0)
-    } 
-    else {
-      return res.status(400).json({ error: 'No items to order' })
+    if (rule.max_reservations !== null && arrivals.length + 1 > rule.max_reservations) {
+      return `This time slot is at capacity: the restaurant can only take ${rule.max_reservations} booking(s) arriving between ${window}. Please choose a different time.`
     }
 
-    // Create order
-    const orderResult = await pool.query(
-      `INSERT INTO orders (customer_id, reservation_id, restaurant_id, status, notes, total_amount, payment_status, payment_method)
-       VALUES ($1, $2, $3, 'pending', $4, $5, 'unpaid', NULL)
-       RETURNING *`,
-      [customer_id, reservation_id, restaurant_id, notes, total]
-    )
+    if (rule.max_covers !== null && covers + party_size > rule.max_covers) {
+      const remaining = Math.max(rule.max_covers - covers, 0)
+      return `This time slot is at capacity: the restaurant can only seat ${rule.max_covers} guests arriving between ${window} and ${remaining} place(s) remain. Please choose a different time.`
+    }
+  }
 
-    const order = orderResult.rows[0]
+  return null
+}
 
-    // Create order items
-    for (const item of cartItems) {
-      if (!item.item_id) {
-        console.warn('Missing item_id for item:', item);
-        continue; // Skip items without valid item_id
-      }
-      const itemTotal = (item.price || 0) * (item.quantity || 0)
-      await pool.query(
-        `INSERT INTO order_item (order_id, item_id, quantity, unit_price, subtotal, special_instructions)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [order.id, item.item_id, item.quantity, item.price, itemTotal, item.special_instruction]
-      )
+// Check specific tables for a party over [start, start + duration).
+// Returns { tables } when they can be used together, or { status, reason, error }.
+function checkTableSelection(context, { table_ids, start, duration, party_size }) {
+  const tables = []
+  for (const tableId of table_ids) {
+    const table = context.tables.find(t => t.id === Number(tableId))
+    if (!table) {
+      return { status: 400, reason: 'table_not_found', error: 'The selected table does not exist at this restaurant' }
     }
+    tables.push(table)
+  }
 
-    // Clear database cart if using cart_id
-    if (cart_id) {
-      await pool.query('DELETE FROM cart_item WHERE cart_id = $1', [cart_id])
-      await pool.query('DELETE FROM cart WHERE id = $1', [cart_id])
+  const capacity = tables.reduce((sum, table) => sum + table.capacity, 0)
+  if (capacity < party_size) {
+    return { status: 400, reason: 'table_too_small', error: `The selected table(s) only seat ${capacity} guest(s)` }
+  }
+
+  const occupied = getOccupiedTableIds(context, start, duration)
+  if (tables.some(table => occupied.has(table.id))) {
+    return { status: 409, reason: 'table_unavailable', error: 'This table is not available for the selected time slot. Please choose a different time or table.' }
+  }
+
+  return { tables }
+}
+
+// Pick the best free seating for a party: the smallest single table that fits,
+// otherwise the smallest configured combination whose tables are all free.
+// With area_id, only tables in that dining area are considered.
+// Returns { tables, combination, options } or null when nothing fits.
+function allocateTables(context, { start, duration, party_size, area_id = null }) {
+  const occupied = getOccupiedTableIds(context, start, duration)
+  const inArea = (tableId) => !area_id || context.tables.some(t => t.id === tableId && t.dining_area_id === Number(area_id))
+  const freeTables = context.tables.filter(t => t.capacity >= party_size && !occupied.has(t.id) && inArea(t.id))
+  const freeCombinations = context.combinations.filter(c =>
+    c.capacity >= party_size && c.table_ids.every(tableId => !occupied.has(tableId) && inArea(tableId))
+  )
+  const options = freeTables.length + freeCombinations.length
+
+  // context.tables and context.combinations are both sorted by capacity
+  if (freeTables.length > 0) {
+    return { tables: [freeTables[0]], combination: null, options }
+  }
+
+  if (freeCombinations.length > 0) {
+    const combination = freeCombinations[0]
+    return {
+      tables: context.tables.filter(t => combination.table_ids.includes(t.id)),
+      combination,
+      options
     }
+  }
 
-    res.status(201).json({
-      message: 'Order created successfully',
-      order
-    })
-  } catch (error) {
-    console.error('Create order error:', error)
-    res.status(500).json({ error: 'Internal server error: ' + error.message })
+  return null
+}
+
+// Decide whether a party can be seated starting at the given minute, on the
+// requested tables if table_ids is given or on the best free seating otherwise
+// (within the dining area area_id, if given).
+// Walk-ins only need the restaurant to be open and skip the pacing limits.
+// Returns { available: true, period, tables, combination, options } with the
+// tables to assign, or { available: false, status, reason, error } describing why not.
+function evaluateSlot(context, { start, party_size, table_ids = null, walk_in = false, area_id = null }) {
+  const duration = getTurnTimeMinutes(context, party_size)
+
+  if (context.servicePeriods.length === 0) {
+    const note = context.closureNote ? ` (${context.closureNote})` : ''
+    return { available: false, status: 400, reason: 'closed', error: `The restaurant is closed on the selected date${note}` }
   }
-})
 
-// Get customer orders
-app.get('/api/orders', authenticateToken, async (req, res) => {
-  try {
-    const ordersResult = await pool.query(
-      `SELECT o.*, r.name as restaurant_name
-       FROM orders o
-       LEFT JOIN restaurant r ON r.id = o.restaurant_id
-       WHERE o.customer_id = $1
-       ORDER BY o.order_date DESC`,
-      [req.user.id]
-    )
+  // A booked meal has to fit inside one service period
+  const period = walk_in
+    ? context.servicePeriods.find(p => start >= p.start && start < p.end)
+    : context.servicePeriods.find(p => start >= p.start && start + duration <= p.end)
+  if (!period) {
+    return { available: false, status: 400, reason: 'closed', error: 'The restaurant is not accepting reservations at the selected time' }
+  }
 
-    // Fetch order items for each order
-    const orders = await Promise.all(ordersResult.rows.map(async (order) => {
-      const itemsResult = await pool.query(
-        `SELECT oi.*, mi.item_name
-         FROM order_item oi
-         LEFT JOIN menu_item mi ON mi.id = oi.item_id
-         WHERE oi.order_id = $1`,
-        [order.id]
-      )
-      return {
-        ...order,
-        items: itemsResult.rows
-      }
-    }))
+  const now = getLocalNow()
+  if (context.date < now.date || (context.date === now.date && start < now.minutes)) {
+    return { available: false, status: 400, reason: 'past', error: 'The selected time has already passed' }
+  }
 
-    res.json(orders)
-  } catch (error) {
-    console.error('Get orders error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+  const pacingError = walk_in ? null : checkPacing(context, { start, party_size, period })
+  if (pacingError) {
+    return { available: false, status: 409, reason: 'pacing', error: pacingError }
   }
-})
 
-// Get order details
-app.get('/api/orders/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params
+  if (table_ids && table_ids.length > 0) {
+    const selection = checkTableSelection(context, { table_ids, start, duration, party_size })
+    if (!selection.tables) {
+      return { available: false, ...selection }
+    }
+    return { available: true, period, tables: selection.tables, combination: null, options: 1 }
+  }
 
-    const orderResult = await pool.query(
-      `SELECT o.*, r.name as restaurant_name, r.address as restaurant_address
-       FROM orders o
-       LEFT JOIN restaurant r ON r.id = o.restaurant_id
-       WHERE o.id = $1 AND o.customer_id = $2`,
-      [id, req.user.id]
-    )
+  const allocation = allocateTables(context, { start, duration, party_size, area_id })
+  if (!allocation) {
+    return { available: false, status: 409, reason: 'fully_booked', error: 'No tables are available for the selected time and party size. Please choose a different time.' }
+  }
 
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' })
+  return { available: true, period, ...allocation }
+}
+
+// List every slot of the day for a party size, with whether it can be booked
+// (optionally only on tables in one dining area)
+function getAvailableSlots(context, party_size, { area_id = null } = {}) {
+  const duration = getTurnTimeMinutes(context, party_size)
+  const slots = []
+
+  for (const period of context.servicePeriods) {
+    for (let start = period.start; start + duration <= period.end; start += SLOT_INTERVAL_MINUTES) {
+      const slot = evaluateSlot(context, { start, party_size, area_id })
+      slots.push({
+        time: minutesToTime(start),
+        service: period.name,
+        available: slot.available,
+        available_tables: slot.available ? slot.options : 0,
+        deposit_per_guest: getDepositPerGuest(context, { start, party_size }),
+        reason: slot.available ? null : slot.reason
+      })
     }
+  }
 
-    const order = orderResult.rows[0]
+  return slots
+}
 
-    const itemsResult = await pool.query(
-      `SELECT oi.*, mi.item_name, mi.description
-       FROM order_item oi
-       LEFT JOIN menu_item mi ON mi.id = oi.item_id
-       WHERE oi.order_id = $1`,
-      [id]
+// Record the tables a reservation is seated at, replacing any earlier assignment.
+// reservation.table_id keeps the first table for screens that show a single table.
+async function assignReservationTables(client, reservation_id, table_ids) {
+  await client.query('DELETE FROM reservation_table WHERE reservation_id = $1', [reservation_id])
+  for (const tableId of table_ids) {
+    await client.query(
+      'INSERT INTO reservation_table (reservation_id, table_id) VALUES ($1, $2)',
+      [reservation_id, tableId]
     )
+  }
+  await client.query(
+    'UPDATE reservation SET table_id = $1 WHERE id = $2',
+    [table_ids[0] || null, reservation_id]
+  )
+}
 
-    res.json({
-      order,
-      items: itemsResult.rows
-    })
-  } catch (error) {
-    console.error('Get order details error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+// How long an online booking waits for its deposit before the table is released
+const DEPOSIT_PAYMENT_MINUTES = 30
+
+// Confirmation codes avoid characters that are easily confused (0/O, 1/I/L)
+const CONFIRMATION_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+const CONFIRMATION_CODE_LENGTH = 6
+
+// Generate a random confirmation code such as 'K7QM3X'
+function generateConfirmationCode() {
+  let code = ''
+  for (let i = 0; i < CONFIRMATION_CODE_LENGTH; i++) {
+    code += CONFIRMATION_CODE_ALPHABET[crypto.randomInt(CONFIRMATION_CODE_ALPHABET.length)]
   }
-})
+  return code
+}
 
-// ============================================
-// HOME
-// ============================================
-// Root route - API documentation
-app.get('/', (req, res) => {
-  const htmlDoc = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>TempahNow API Documentation</title>
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: #f8f9fa;
-      color: #333;
-      line-height: 1.6;
-      padding: 40px 20px;
+// Run insert(confirmationCode) inside a transaction, retrying with a fresh
+// confirmation code in the rare case one is already taken
+async function insertWithConfirmationCode(client, insert) {
+  for (let attempt = 1; ; attempt++) {
+    await client.query('SAVEPOINT new_reservation')
+    try {
+      return await insert(generateConfirmationCode())
+    } catch (error) {
+      if (error.code !== '23505' || error.constraint !== 'reservation_confirmation_code_key' || attempt >= 5) {
+        throw error
+      }
+      await client.query('ROLLBACK TO SAVEPOINT new_reservation')
     }
-    .container { max-width: 900px; margin: 0 auto; }
-    header {
-      text-align: center;
-      margin-bottom: 50px;
+  }
+}
+
+// Check a slot with the availability engine and create the reservation on the
+// requested tables, or on the best-fitting table or combination if none were picked.
+// Staff bookings pass the guest's details, a source ('phone' or 'walk_in') and status.
+// Online bookings that need a deposit are created as 'awaiting_deposit', and a
+// hold_token from POST /api/restaurants/:id/holds books the held tables.
+// Returns { reservation } or { status, reason, error } when the slot cannot be booked.
+async function bookReservation(pool, {
+  customer_id = null,
+  restaurant_id,
+  reservation_date,
+  reservation_time,
+  party_size,
+  table_ids = null,
+  special_requests = null,
+  status = 'pending',
+  source = 'online',
+  guest_name = null,
+  guest_phone = null,
+  guest_email = null,
+  created_by_staff_id = null,
+  hold_token = null,
+  area_preference_id = null,
+  series_id = null,
+  allow_deposit = true
+}) {
+  return withBookingLock(pool, { restaurant_id, date: reservation_date }, async (client) => {
+    // An unexpired hold for this booking keeps its tables; an expired one is ignored
+    let hold = null
+    if (hold_token) {
+      const holdResult = await client.query(
+        `SELECT *, TO_CHAR(reservation_date, 'YYYY-MM-DD') as reservation_date
+         FROM reservation_hold
+         WHERE hold_token = $1 AND expires_at > NOW()`,
+        [hold_token]
+      )
+      hold = holdResult.rows[0] || null
+
+      if (hold && (
+        hold.customer_id !== customer_id ||
+        hold.restaurant_id !== Number(restaurant_id) ||
+        hold.reservation_date !== reservation_date ||
+        timeToMinutes(hold.reservation_time) !== timeToMinutes(reservation_time) ||
+        hold.party_size !== party_size
+      )) {
+        return { status: 400, reason: 'hold_mismatch', error: 'The table hold does not match this booking' }
+      }
     }
-    h1 {
-      font-size: 2.5rem;
-      color: #2c3e50;
-      margin-bottom: 10px;
+
+    const context = await loadAvailabilityContext(client, {
+      restaurant_id,
+      date: reservation_date,
+      exclude_hold_token: hold ? hold_token : null
+    })
+    if (!context) {
+      return { status: 404, reason: 'restaurant_not_found', error: 'Restaurant not found' }
     }
-    .subtitle { color: #6c757d; font-size: 1.1rem; }
-    .version {
-      display: inline-block;
-      background: #3498db;
-      color: white;
-      padding: 4px 12px;
-      border-radius: 20px;
-      font-size: 0.85rem;
-      margin-top: 15px;
+
+    if (area_preference_id) {
+      const area = await client.query(
+        'SELECT id FROM dining_area WHERE id = $1 AND restaurant_id = $2 AND is_active = true',
+        [area_preference_id, restaurant_id]
+      )
+      if (area.rows.length === 0) {
+        return { status: 400, reason: 'area_not_found', error: 'The selected dining area does not exist at this restaurant' }
+      }
     }
-    .section {
-      background: white;
-      border-radius: 12px;
-      padding: 25px;
-      margin-bottom: 20px;
-      box-shadow: 0 2px 8px rgba(0,0,0,0.08);
+
+    // Customers over the restaurant's no-show threshold are refused online or asked for a deposit
+    const overNoShowThreshold = customer_id && source === 'online' &&
+      await hasReachedNoShowThreshold(client, context.restaurant, customer_id)
+    if (overNoShowThreshold && context.restaurant.no_show_action === 'block') {
+      return {
+        status: 403,
+        reason: 'no_show_blocked',
+        error: 'Online booking is unavailable because of previous missed reservations. Please contact the restaurant.'
+      }
     }
-    .section h2 {
-      font-size: 1.3rem;
-      color: #2c3e50;
-      margin-bottom: 15px;
-      padding-bottom: 10px;
-      border-bottom: 2px solid #f1f3f4;
+
+    const start = timeToMinutes(reservation_time)
+    const slotRequest = {
+      start,
+      party_size,
+      table_ids: table_ids || (hold ? hold.table_ids : null),
+      walk_in: source === 'walk_in'
+    }
+    let slot = evaluateSlot(context, { ...slotRequest, area_id: area_preference_id })
+
+    // An area is only a preference, so seat the party elsewhere when it is full
+    if (!slot.available && slot.reason === 'fully_booked' && area_preference_id) {
+      slot = evaluateSlot(context, slotRequest)
+    }
+
+    if (!slot.available) {
+      return { status: slot.status, reason: slot.reason, error: slot.error }
+    }
+
+    // Online bookings that need a deposit hold the table until it is paid. A customer
+    // over the no-show threshold pays at least the restaurant's no-show deposit.
+    let depositPerGuest = 0
+    if (source === 'online') {
+      depositPerGuest = getDepositPerGuest(context, { start, party_size })
+      if (overNoShowThreshold && context.restaurant.no_show_action === 'deposit') {
+        depositPerGuest = Math.max(depositPerGuest, Number(context.restaurant.no_show_deposit_per_guest) || 0)
+      }
+    }
+    const depositAmount = depositPerGuest > 0 ? (depositPerGuest * party_size).toFixed(2) : null
+    const initialStatus = depositAmount ? 'awaiting_deposit' : status
+
+    if (depositAmount && !allow_deposit) {
+      return { status: 409, reason: 'deposit_required', error: 'This slot requires a deposit, so it cannot be booked as part of a recurring series' }
+    }
+
+    const assignedTableIds = slot.tables.map(table => table.id)
+
+    const result = await insertWithConfirmationCode(client, (confirmationCode) =>
+      client.query(
+        `INSERT INTO reservation 
+          (customer_id, restaurant_id, table_id, reservation_date, reservation_time, party_size, special_requests, status,
+           source, guest_name, guest_phone, guest_email, created_by_staff_id,
+           deposit_amount, deposit_status, deposit_expires_at, confirmation_code, arrived_at, seated_at, area_preference_id, series_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                 CASE WHEN $14::decimal IS NULL THEN NULL ELSE 'pending' END,
+                 CASE WHEN $14::decimal IS NULL THEN NULL ELSE NOW() + make_interval(mins => $15) END,
+                 $16,
+                 CASE WHEN $8::varchar = 'seated' THEN NOW() END,
+                 CASE WHEN $8::varchar = 'seated' THEN NOW() END,
+                 $17, $18)
+         RETURNING *`,
+        [
+          customer_id, restaurant_id, assignedTableIds[0], reservation_date, reservation_time, party_size, special_requests, initialStatus,
+          source, guest_name, guest_phone, guest_email, created_by_staff_id,
+          depositAmount, DEPOSIT_PAYMENT_MINUTES, confirmationCode, area_preference_id, series_id
+        ]
+      )
+    )
+    await assignReservationTables(client, result.rows[0].id, assignedTableIds)
+    if (hold) {
+      await client.query('DELETE FROM reservation_hold WHERE id = $1', [hold.id])
+    }
+    await recordStatusHistory(client, {
+      reservation_id: result.rows[0].id,
+      from_status: null,
+      to_status: initialStatus,
+      actor_type: created_by_staff_id ? 'staff' : (customer_id ? 'customer' : 'guest'),
+      actor_id: created_by_staff_id || customer_id || guest_email || guest_phone
+    })
+
+    return {
+      reservation: {
+        ...result.rows[0],
+        table_ids: assignedTableIds,
+        table_numbers: slot.tables.map(table => table.table_number),
+        area_preference_met: area_preference_id
+          ? slot.tables.every(table => table.dining_area_id === Number(area_preference_id))
+          : null
+      }
+    }
+  })
+}
+
+// Most occurrences one recurring series can book
+const MAX_SERIES_OCCURRENCES = 52
+
+// How often a recurring series repeats
+const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'monthly']
+
+// Validate a recurrence rule ({ frequency, until } or { frequency, count }) for a
+// series starting on start_date, returning an error message or null
+function validateRecurrence(recurrence, start_date) {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return 'Recurrence must be an object'
+  }
+  if (!SERIES_FREQUENCIES.includes(recurrence.frequency)) {
+    return `Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}`
+  }
+  if ((recurrence.until == null) === (recurrence.count == null)) {
+    return 'Give either an end date (until) or a number of occurrences (count)'
+  }
+  if (recurrence.until != null && (!isValidDateString(recurrence.until) || recurrence.until < start_date)) {
+    return 'until must be a valid date (YYYY-MM-DD) on or after the first booking'
+  }
+  if (recurrence.count != null && (!Number.isInteger(recurrence.count) || recurrence.count < 2 || recurrence.count > MAX_SERIES_OCCURRENCES)) {
+    return `count must be between 2 and ${MAX_SERIES_OCCURRENCES}`
+  }
+  return null
+}
+
+// List the dates of a series from start_date, up to until or count occurrences.
+// Monthly series keep the day of the month, moving to the last day of shorter months.
+// Stops one past MAX_SERIES_OCCURRENCES so callers can tell the rule is too long.
+function getSeriesDates(start_date, { frequency, until = null, count = null }) {
+  const [year, month, day] = start_date.split('-').map(Number)
+  const limit = count ?? MAX_SERIES_OCCURRENCES + 1
+  const dates = []
+
+  for (let i = 0; dates.length < limit; i++) {
+    const date = frequency === 'monthly'
+      ? new Date(year, month - 1 + i, Math.min(day, new Date(year, month + i, 0).getDate()))
+      : new Date(year, month - 1, day + i * (frequency === 'weekly' ? 7 : 14))
+
+    if (until && formatDate(date) > until) break
+    dates.push(formatDate(date))
+  }
+
+  return dates
+}
+
+// Book every date of a recurring series with bookReservation. Dates that cannot
+// be booked are reported as conflicts rather than failing the whole series.
+// Returns { series, reservations, conflicts }, or { status, error, conflicts }
+// when no date could be booked.
+async function bookReservationSeries(pool, booking, recurrence, dates) {
+  const seriesResult = await pool.query(
+    `INSERT INTO reservation_series
+      (restaurant_id, customer_id, frequency, start_date, until_date, occurrence_count, reservation_time, party_size)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      booking.restaurant_id, booking.customer_id, recurrence.frequency, dates[0], recurrence.until ?? null,
+      recurrence.count ?? null, booking.reservation_time, booking.party_size
+    ]
+  )
+  const series = seriesResult.rows[0]
+
+  const reservations = []
+  const conflicts = []
+  for (const date of dates) {
+    const result = await bookReservation(pool, {
+      ...booking,
+      reservation_date: date,
+      series_id: series.id,
+      allow_deposit: false
+    })
+
+    if (result.error) {
+      conflicts.push({ reservation_date: date, reason: result.reason, error: result.error })
+    } else {
+      reservations.push(result.reservation)
+    }
+  }
+
+  if (reservations.length === 0) {
+    await pool.query('DELETE FROM reservation_series WHERE id = $1', [series.id])
+    return { status: 409, error: 'None of the dates in this series could be booked', conflicts }
+  }
+
+  return { series, reservations, conflicts }
+}
+
+// Get a series with its occurrences, optionally only a customer's or restaurant's
+async function getReservationSeries(pool, series_id, { customer_id = null, restaurant_id = null }) {
+  const seriesResult = await pool.query(
+    `SELECT s.*, rest.name as restaurant_name
+     FROM reservation_series s
+     JOIN restaurant rest ON rest.id = s.restaurant_id
+     WHERE s.id = $1
+       AND ($2::varchar IS NULL OR s.customer_id = $2)
+       AND ($3::integer IS NULL OR s.restaurant_id = $3)`,
+    [series_id, customer_id, restaurant_id]
+  )
+
+  if (seriesResult.rows.length === 0) {
+    return null
+  }
+
+  const occurrences = await pool.query(
+    `SELECT id, confirmation_code, reservation_date, reservation_time, party_size, status, table_id
+     FROM reservation
+     WHERE series_id = $1
+     ORDER BY reservation_date`,
+    [series_id]
+  )
+
+  return { ...seriesResult.rows[0], occurrences: occurrences.rows }
+}
+
+// Set a series' status after cancelling it: 'cancelled' once none of its upcoming
+// reservations is still booked, otherwise 'partially_cancelled' (some are waiting
+// for staff to approve the cancellation or were refused by the policy).
+// Returns the new status.
+async function updateCancelledSeriesStatus(pool, series_id) {
+  const result = await pool.query(
+    `UPDATE reservation_series
+     SET status = CASE WHEN booked.count = 0 THEN 'cancelled' ELSE 'partially_cancelled' END,
+         cancelled_at = CASE WHEN booked.count = 0 THEN NOW() END
+     FROM (
+       SELECT COUNT(*)::int as count FROM reservation
+       WHERE series_id = $1 AND reservation_date >= $2
+         AND status IN ('awaiting_deposit', 'pending', 'confirmed', 'cancellation_requested')
+     ) booked
+     WHERE reservation_series.id = $1
+     RETURNING reservation_series.status`,
+    [series_id, getLocalNow().date]
+  )
+  return result.rows[0]?.status
+}
+
+// Check whether a customer has reached the restaurant's no-show threshold
+async function hasReachedNoShowThreshold(pool, restaurant, customer_id) {
+  if (restaurant.no_show_threshold == null || !restaurant.no_show_action) {
+    return false
+  }
+
+  const result = await pool.query(
+    `SELECT COUNT(*)::int as no_shows FROM reservation
+     WHERE restaurant_id = $1 AND customer_id = $2 AND status = 'no-show'`,
+    [restaurant.id, customer_id]
+  )
+
+  return result.rows[0].no_shows >= restaurant.no_show_threshold
+}
+
+// Move an existing reservation to a new date, time and/or party size. The slot
+// is checked as if the reservation were not there; its current tables are kept
+// when they still fit, otherwise the best available tables are assigned. An online
+// booking cannot move to a slot that needs a bigger deposit than it has paid.
+// Returns { reservation } or { status, reason, error } when the change cannot be made.
+async function modifyReservation(pool, reservation, { reservation_date, reservation_time, party_size, table_ids = null }) {
+  return withBookingLock(pool, { restaurant_id: reservation.restaurant_id, date: reservation_date }, async (client) => {
+    const context = await loadAvailabilityContext(client, {
+      restaurant_id: reservation.restaurant_id,
+      date: reservation_date,
+      exclude_reservation_id: reservation.id
+    })
+    if (!context) {
+      return { status: 404, reason: 'restaurant_not_found', error: 'Restaurant not found' }
+    }
+
+    const start = timeToMinutes(reservation_time)
+    let slot = null
+
+    if (!table_ids) {
+      const currentTables = await client.query(
+        'SELECT table_id FROM reservation_table WHERE reservation_id = $1',
+        [reservation.id]
+      )
+      const currentTableIds = currentTables.rows.map(row => row.table_id)
+      if (currentTableIds.length === 0 && reservation.table_id) {
+        currentTableIds.push(reservation.table_id)
+      }
+      if (currentTableIds.length > 0) {
+        const kept = evaluateSlot(context, { start, party_size, table_ids: currentTableIds })
+        if (kept.available) {
+          slot = kept
+        }
+      }
+    }
+
+    if (!slot) {
+      slot = evaluateSlot(context, { start, party_size, table_ids })
+    }
+
+    if (!slot.available) {
+      return { status: slot.status, reason: slot.reason, error: slot.error }
+    }
+
+    // The same deposit decision as bookReservation, against what has already been paid
+    if (reservation.source === 'online') {
+      let depositPerGuest = getDepositPerGuest(context, { start, party_size })
+      if (reservation.customer_id && context.restaurant.no_show_action === 'deposit' &&
+        await hasReachedNoShowThreshold(client, context.restaurant, reservation.customer_id)) {
+        depositPerGuest = Math.max(depositPerGuest, Number(context.restaurant.no_show_deposit_per_guest) || 0)
+      }
+      const paid = reservation.deposit_status === 'paid' ? Number(reservation.deposit_amount) : 0
+      if (depositPerGuest * party_size > paid) {
+        return {
+          status: 409,
+          reason: 'deposit_required',
+          error: `This change requires a deposit of ${(depositPerGuest * party_size).toFixed(2)}. Please make a new booking for it instead.`
+        }
+      }
+    }
+
+    const assignedTableIds = slot.tables.map(table => table.id)
+    const result = await client.query(
+      `UPDATE reservation
+       SET reservation_date = $1,
+           reservation_time = $2,
+           party_size = $3
+       WHERE id = $4 AND status IN ('pending', 'confirmed')
+       RETURNING *`,
+      [reservation_date, reservation_time, party_size, reservation.id]
+    )
+
+    if (result.rows.length === 0) {
+      return { status: 409, reason: 'status', error: 'Only pending or confirmed reservations can be changed' }
+    }
+
+    await assignReservationTables(client, reservation.id, assignedTableIds)
+
+    return {
+      reservation: {
+        ...result.rows[0],
+        table_id: assignedTableIds[0],
+        table_ids: assignedTableIds,
+        table_numbers: slot.tables.map(table => table.table_number)
+      }
+    }
+  })
+}
+
+// Reservation lifecycle: for each current status, the statuses it may move to
+// and which kind of actor ('customer', 'guest', 'staff' or 'system') may make the change
+const RESERVATION_TRANSITIONS = {
+  awaiting_deposit: {
+    confirmed: ['staff', 'system'],
+    cancelled: ['customer', 'guest', 'staff', 'system']
+  },
+  pending: {
+    confirmed: ['staff'],
+    cancellation_requested: ['customer', 'guest'],
+    cancelled: ['staff', 'system']
+  },
+  confirmed: {
+    seated: ['staff'],
+    cancellation_requested: ['customer', 'guest'],
+    cancelled: ['staff', 'system'],
+    'no-show': ['staff', 'system']
+  },
+  cancellation_requested: {
+    confirmed: ['staff'],
+    cancelled: ['staff', 'system']
+  },
+  seated: {
+    completed: ['staff']
+  },
+  completed: {},
+  cancelled: {},
+  'no-show': {}
+}
+
+// Add an entry to a reservation's status history
+async function recordStatusHistory(client, { reservation_id, from_status, to_status, actor_type, actor_id = null, note = null }) {
+  await client.query(
+    `INSERT INTO reservation_status_history (reservation_id, from_status, to_status, changed_by_type, changed_by_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [reservation_id, from_status, to_status, actor_type, actor_id === null ? null : String(actor_id), note]
+  )
+}
+
+// Move a reservation to a new status if the lifecycle lets this actor do so,
+// and record the change. Scope the lookup with restaurant_id (staff) or
+// customer_id (customers); pass cancellation_reason to set it at the same time.
+// Returns { reservation, previous_status } or { status, error }.
+async function changeReservationStatus(pool, {
+  reservation_id,
+  restaurant_id = null,
+  customer_id = null,
+  to_status,
+  actor_type,
+  actor_id = null,
+  note = null,
+  cancellation_reason
+}) {
+  if (!RESERVATION_TRANSITIONS[to_status]) {
+    return { status: 400, error: `Invalid status: ${to_status}` }
+  }
+
+  const client = await pool.connect()
+  let reservation
+  let previousStatus
+  try {
+    await client.query('BEGIN')
+
+    const current = await client.query(
+      `SELECT * FROM reservation
+       WHERE id = $1
+         AND ($2::integer IS NULL OR restaurant_id = $2)
+         AND ($3::varchar IS NULL OR customer_id = $3)
+       FOR UPDATE`,
+      [reservation_id, restaurant_id, customer_id]
+    )
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return { status: 404, error: 'Reservation not found' }
+    }
+
+    previousStatus = current.rows[0].status
+    const allowedActors = RESERVATION_TRANSITIONS[previousStatus]?.[to_status] || []
+    if (!allowedActors.includes(actor_type)) {
+      await client.query('ROLLBACK')
+      return { status: 409, error: `A ${previousStatus} reservation cannot be changed to ${to_status}` }
+    }
+
+    const result = await client.query(
+      `UPDATE reservation
+       SET status = $1,
+           cancellation_reason = CASE WHEN $2 THEN $3 ELSE cancellation_reason END,
+           arrived_at = CASE WHEN $1::varchar = 'seated' THEN COALESCE(arrived_at, NOW()) ELSE arrived_at END,
+           seated_at = CASE WHEN $1::varchar = 'seated' THEN NOW() ELSE seated_at END,
+           cleared_at = CASE WHEN $1::varchar = 'completed' THEN NOW() ELSE cleared_at END
+       WHERE id = $4
+       RETURNING *`,
+      [to_status, cancellation_reason !== undefined, cancellation_reason ?? null, reservation_id]
+    )
+    reservation = result.rows[0]
+
+    // An event's table blocks end with the booking
+    if (['cancelled', 'no-show', 'completed'].includes(to_status)) {
+      await client.query('DELETE FROM table_block WHERE reservation_id = $1', [reservation.id])
+    }
+
+    await recordStatusHistory(client, {
+      reservation_id: reservation.id,
+      from_status: previousStatus,
+      to_status,
+      actor_type,
+      actor_id,
+      note
+    })
+
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+
+  // A cancelled or no-show booking frees its table for the waitlist
+  if (['cancelled', 'no-show'].includes(to_status)) {
+    await offerFreedSlot(pool, reservation)
+  }
+
+  // Cancelling the last booking left in a partly cancelled series completes it
+  if (to_status === 'cancelled' && reservation.series_id) {
+    const series = await pool.query('SELECT status FROM reservation_series WHERE id = $1', [reservation.series_id])
+    if (series.rows[0]?.status === 'partially_cancelled') {
+      await updateCancelledSeriesStatus(pool, reservation.series_id)
+    }
+  }
+
+  return { reservation, previous_status: previousStatus }
+}
+
+// Describe a restaurant's cancellation policy for customers.
+// free_cancellation_hours: cancelling at least this long before the booking is automatic.
+// cancellation_cutoff_hours: inside this many hours cancellations are refused.
+// Anything in between (or with no policy set) is reviewed by staff.
+function getCancellationPolicy(restaurant) {
+  const freeHours = restaurant.free_cancellation_hours ?? null
+  const cutoffHours = restaurant.cancellation_cutoff_hours ?? null
+  const parts = []
+
+  if (freeHours !== null) {
+    parts.push(`Free cancellation up to ${freeHours} hour(s) before your booking.`)
+  }
+  if (cutoffHours !== null) {
+    parts.push(`Cancellations are not accepted within ${cutoffHours} hour(s) of your booking.`)
+  }
+  if (freeHours === null || cutoffHours === null || cutoffHours < freeHours) {
+    parts.push('Other cancellation requests are reviewed by the restaurant.')
+  }
+
+  return {
+    free_cancellation_hours: freeHours,
+    cancellation_cutoff_hours: cutoffHours,
+    description: parts.join(' ')
+  }
+}
+
+// Decide how a cancellation made now is handled under the restaurant's policy:
+// 'free' (cancel straight away), 'review' (staff approve or reject) or 'refused'
+function getCancellationDecision(restaurant, reservation, now = new Date()) {
+  // Both sides are local wall-clock times, so count them as if they were UTC
+  const localNow = getLocalNow(now)
+  const startsAt = Date.parse(`${toDateString(reservation.reservation_date)}T00:00:00Z`) + timeToMinutes(reservation.reservation_time) * 60 * 1000
+  const nowAt = Date.parse(`${localNow.date}T00:00:00Z`) + localNow.minutes * 60 * 1000
+  const hoursBefore = (startsAt - nowAt) / (60 * 60 * 1000)
+  const { free_cancellation_hours, cancellation_cutoff_hours } = getCancellationPolicy(restaurant)
+
+  if (cancellation_cutoff_hours !== null && hoursBefore < cancellation_cutoff_hours) {
+    return 'refused'
+  }
+  if (free_cancellation_hours !== null && hoursBefore >= free_cancellation_hours) {
+    return 'free'
+  }
+  return 'review'
+}
+
+// Move a customer's or guest's reservation to a new date, time, party size and/or
+// tables; fields left undefined keep their current values. Staff are told what
+// changed (actor_name is who changed it) and the old slot is offered to the waitlist.
+// Returns { reservation } or { status, error }.
+async function rescheduleReservation(pool, current, changes, actor_name) {
+  if (!['pending', 'confirmed'].includes(current.status)) {
+    return { status: 409, error: 'Only pending or confirmed reservations can be changed' }
+  }
+
+  if (current.source === 'event') {
+    return { status: 409, error: 'Event bookings can only be changed by the restaurant' }
+  }
+
+  const before = {
+    reservation_date: toDateString(current.reservation_date),
+    reservation_time: minutesToTime(timeToMinutes(current.reservation_time)),
+    party_size: current.party_size
+  }
+  const after = {
+    reservation_date: changes.reservation_date ?? before.reservation_date,
+    reservation_time: changes.reservation_time ?? before.reservation_time,
+    party_size: changes.party_size !== undefined ? Number(changes.party_size) : before.party_size
+  }
+
+  if (!isValidDateString(after.reservation_date) || !isValidTimeString(after.reservation_time)) {
+    return { status: 400, error: 'Invalid reservation date or time' }
+  }
+
+  if (!Number.isInteger(after.party_size) || after.party_size < 1) {
+    return { status: 400, error: 'Party size must be a positive whole number' }
+  }
+
+  if (changes.table_ids !== undefined && (!Array.isArray(changes.table_ids) || changes.table_ids.length === 0)) {
+    return { status: 400, error: 'table_ids must be a non-empty array' }
+  }
+
+  const tablesBefore = await pool.query(
+    `SELECT t.table_number
+     FROM reservation_table rt
+     JOIN "table" t ON t.id = rt.table_id
+     WHERE rt.reservation_id = $1
+     ORDER BY t.table_number`,
+    [current.id]
+  )
+
+  const modification = await modifyReservation(pool, current, {
+    ...after,
+    table_ids: changes.table_ids || null
+  })
+
+  if (modification.error) {
+    return modification
+  }
+
+  const describe = ({ reservation_date, reservation_time, party_size }, tableNumbers) =>
+    `${reservation_date} at ${minutesToTime(timeToMinutes(reservation_time))} for ${party_size} guest(s)` +
+    (tableNumbers.length > 0 ? ` (table ${tableNumbers.join(' + ')})` : '')
+
+  await createNotification(pool, {
+    restaurant_id: current.restaurant_id,
+    type: 'reservation_modified',
+    title: 'Reservation Changed',
+    message: `${actor_name} changed their reservation from ${describe(before, tablesBefore.rows.map(row => row.table_number))} to ${describe(after, modification.reservation.table_numbers)}`,
+    reservation_id: current.id
+  })
+
+  // The old slot may now suit someone on the waitlist
+  await offerFreedSlot(pool, { ...before, restaurant_id: current.restaurant_id })
+
+  return modification
+}
+
+// Cancel a reservation for its customer (pass customer_id) or guest under the
+// restaurant's cancellation policy: early cancellations go through at once, later
+// ones wait for staff approval and those inside the cutoff are refused.
+// Returns { outcome: 'cancelled' | 'requested', reservation } or { status, error }.
+async function requestReservationCancellation(pool, reservation_id, { customer_id = null, actor_type, actor_id, reason }) {
+  // Truncate reason to 500 characters to match database column
+  const truncatedReason = reason ? String(reason).slice(0, 500) : null
+
+  // Get reservation details for notification and the restaurant's cancellation policy
+  const reservationResult = await pool.query(
+    `SELECT r.*, COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name,
+            rest.name as restaurant_name, rest.free_cancellation_hours, rest.cancellation_cutoff_hours
+     FROM reservation r
+     LEFT JOIN customer c ON c.id = r.customer_id
+     LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
+     WHERE r.id = $1 AND ($2::varchar IS NULL OR r.customer_id = $2)`,
+    [reservation_id, customer_id]
+  )
+  const reservation = reservationResult.rows[0]
+
+  // An unpaid deposit hold can simply be released
+  if (reservation?.status === 'awaiting_deposit') {
+    const release = await changeReservationStatus(pool, {
+      reservation_id: reservation.id,
+      customer_id,
+      to_status: 'cancelled',
+      actor_type,
+      actor_id,
+      note: truncatedReason
+    })
+
+    if (release.error) {
+      return { status: release.status, error: release.error }
+    }
+
+    return { outcome: 'cancelled', reservation: release.reservation }
+  }
+
+  if (!reservation || !['pending', 'confirmed'].includes(reservation.status)) {
+    return { status: 400, error: 'Reservation cannot be cancelled or not found' }
+  }
+
+  const policy = getCancellationPolicy(reservation)
+  const decision = getCancellationDecision(reservation, reservation)
+  if (decision === 'refused') {
+    return {
+      status: 409,
+      error: `Cancellations are not accepted within ${policy.cancellation_cutoff_hours} hour(s) of the booking. Please contact the restaurant.`,
+      cancellation_policy: policy
+    }
+  }
+
+  // Only pending or confirmed reservations can request cancellation
+  const change = await changeReservationStatus(pool, {
+    reservation_id: reservation.id,
+    customer_id,
+    to_status: 'cancellation_requested',
+    actor_type,
+    actor_id,
+    note: truncatedReason,
+    cancellation_reason: truncatedReason
+  })
+
+  if (change.error) {
+    return { status: 400, error: 'Reservation cannot be cancelled or not found' }
+  }
+
+  const customerName = (reservation.customer_name || '').trim() || 'A customer'
+  const when = `${toDateString(reservation.reservation_date)} at ${minutesToTime(timeToMinutes(reservation.reservation_time))}`
+
+  // Early enough for a free cancellation: approve it without waiting for staff
+  if (decision === 'free') {
+    const approval = await changeReservationStatus(pool, {
+      reservation_id: reservation.id,
+      to_status: 'cancelled',
+      actor_type: 'system',
+      note: `Cancelled free of charge at least ${policy.free_cancellation_hours} hour(s) before the booking`
+    })
+
+    if (!approval.error) {
+      await createNotification(pool, {
+        restaurant_id: reservation.restaurant_id,
+        type: 'reservation_cancelled',
+        title: 'Reservation Cancelled',
+        message: `${customerName} cancelled their reservation on ${when}. Reason: ${truncatedReason || 'No reason provided'}`,
+        reservation_id: reservation.id
+      })
+
+      if (reservation.customer_id) {
+        await createCustomerNotification(pool, {
+          customer_id: reservation.customer_id,
+          type: 'cancellation_approved',
+          title: 'Reservation Cancelled',
+          message: `Your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${when} has been cancelled.`,
+          reservation_id: reservation.id
+        })
+      }
+
+      return { outcome: 'cancelled', reservation: approval.reservation }
+    }
+  }
+
+  // Create notification for staff
+  await createNotification(pool, {
+    restaurant_id: reservation.restaurant_id,
+    type: 'cancellation_request',
+    title: 'Cancellation Request',
+    message: `${customerName} requested to cancel their reservation on ${when}. Reason: ${truncatedReason || 'No reason provided'}`,
+    reservation_id: reservation.id
+  })
+
+  return { outcome: 'requested', reservation: change.reservation }
+}
+
+// Find reservations by confirmation code, last name and/or phone number, for
+// bookings made with a customer account or for a guest. Pass restaurant_id to
+// search one restaurant only. Returns at most 20 matches, newest first.
+async function lookupReservations(pool, { restaurant_id = null, code = null, last_name = null, phone = null }) {
+  const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&')
+  const normalisedCode = code ? String(code).toUpperCase().replace(/[\s-]/g, '') : null
+  const lastName = last_name ? escapeLike(String(last_name).trim().toLowerCase()) : null
+  const digits = phone ? String(phone).replace(/\D/g, '') : null
+
+  const result = await pool.query(
+    `SELECT r.*, rest.name as restaurant_name,
+            COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name,
+            COALESCE(r.guest_email, c.email) as customer_email,
+            COALESCE(r.guest_phone, c.phone) as customer_phone,
+            (SELECT json_agg(t.table_number ORDER BY t.table_number)
+             FROM reservation_table rt
+             JOIN "table" t ON t.id = rt.table_id
+             WHERE rt.reservation_id = r.id) as table_numbers
+     FROM reservation r
+     LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
+     LEFT JOIN customer c ON c.id = r.customer_id
+     WHERE ($1::integer IS NULL OR r.restaurant_id = $1)
+       AND ($2::varchar IS NULL OR r.confirmation_code = $2)
+       AND ($3::varchar IS NULL
+            OR LOWER(c.last_name) = $3
+            OR LOWER(r.guest_name) LIKE $3
+            OR LOWER(r.guest_name) LIKE '% ' || $3)
+       AND ($4::varchar IS NULL OR regexp_replace(COALESCE(r.guest_phone, c.phone, ''), '\\D', '', 'g') LIKE '%' || $4)
+     ORDER BY r.reservation_date DESC, r.reservation_time DESC
+     LIMIT 20`,
+    [restaurant_id, normalisedCode, lastName, digits]
+  )
+
+  return result.rows
+}
+
+// Build the check-in QR payload for a reservation: its confirmation code plus a
+// signature, so staff scanners can tell a genuine QR code from a typed guess
+function getCheckInPayload(reservation) {
+  const signature = crypto
+    .createHmac('sha256', JWT_SECRET)
+    .update(`${reservation.id}:${reservation.confirmation_code}`)
+    .digest('hex')
+    .slice(0, 16)
+  return `RSV1.${reservation.confirmation_code}.${signature}`
+}
+
+// Read a confirmation code or QR payload scanned at check-in.
+// Returns { code, signature } (signature is null for a typed code) or null.
+function parseCheckInInput(value) {
+  const input = String(value || '').trim()
+  const qr = /^RSV1\.([A-Z0-9]+)\.([0-9a-f]{16})$/.exec(input)
+  if (qr) {
+    return { code: qr[1], signature: qr[2] }
+  }
+  const code = input.toUpperCase().replace(/[\s-]/g, '')
+  return code ? { code, signature: null } : null
+}
+
+// Calendar feeds list bookings up to this many days ahead
+const CALENDAR_FEED_DAYS = 90
+
+// Domain part of calendar event UIDs, so updates replace the same event
+const CALENDAR_UID_DOMAIN = new URL(process.env.API_URL || 'http://localhost').hostname
+
+// Escape text for an iCalendar property value
+function escapeICalText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// Fold an iCalendar content line so no line is longer than 75 bytes
+function foldICalLine(line) {
+  const parts = []
+  let current = ''
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74  // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current)
+      current = ''
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+// Format a restaurant-local date plus minutes into the day as a UTC iCalendar
+// date-time (20261019T110000Z), so calendars in any time zone show the right time
+function toICalDateTime(date, minutes) {
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000
+  const local = getLocalNow(new Date(wallClock))
+  const offset = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60 * 1000 - wallClock
+  return new Date(wallClock - offset).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// Build an iCalendar document with one event per reservation. Reservations need
+// restaurant_name and restaurant_address; turnTimes are the restaurant's turn_time
+// rows used for the event length. Staff calendars title events with the guest's name.
+function buildReservationCalendar(reservations, { name, turnTimes, forStaff = false }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Restaurant Reservations//Reservations//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`
+  ]
+
+  for (const reservation of reservations) {
+    const date = toDateString(reservation.reservation_date)
+    const start = timeToMinutes(reservation.reservation_time)
+    const dayOfWeek = getDayOfWeek(date)
+    const duration = getTurnTimeMinutes(
+      { turnTimes: turnTimes.filter(rule => rule.day_of_week === null || rule.day_of_week === dayOfWeek) },
+      reservation.party_size
+    )
+    const status = ['confirmed', 'seated', 'completed'].includes(reservation.status)
+      ? 'CONFIRMED'
+      : (['cancelled', 'no-show'].includes(reservation.status) ? 'CANCELLED' : 'TENTATIVE')
+
+    const details = [
+      `Party of ${reservation.party_size}`,
+      reservation.confirmation_code ? `Confirmation code: ${reservation.confirmation_code}` : null,
+      forStaff && reservation.table_numbers ? `Tables: ${reservation.table_numbers.join(', ')}` : null,
+      forStaff && reservation.customer_phone ? `Phone: ${reservation.customer_phone}` : null,
+      reservation.special_requests ? `Special requests: ${reservation.special_requests}` : null
+    ].filter(Boolean)
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:reservation-${reservation.id}@${CALENDAR_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toICalDateTime(date, start)}`,
+      `DTEND:${toICalDateTime(date, start + duration)}`,
+      `SUMMARY:${escapeICalText(forStaff
+        ? `${reservation.customer_name || 'Guest'} (${reservation.party_size})`
+        : `Reservation at ${reservation.restaurant_name}`)}`,
+      `DESCRIPTION:${escapeICalText(details.join('\n'))}`,
+      `STATUS:${status}`
+    )
+    if (reservation.restaurant_address) {
+      lines.push(`LOCATION:${escapeICalText(reservation.restaurant_address)}`)
+    }
+    lines.push('END:VEVENT')
+  }
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldICalLine).join('\r\n') + '\r\n'
+}
+
+// Send an iCalendar document, as a download when filename is given
+function sendCalendar(res, calendar, filename = null) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8')
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  }
+  res.send(calendar)
+}
+
+// Get a restaurant's turn-time rules for working out calendar event lengths
+async function getRestaurantTurnTimes(pool, restaurant_id) {
+  const result = await pool.query(
+    'SELECT min_party_size, max_party_size, day_of_week, duration_minutes FROM turn_time WHERE restaurant_id = $1',
+    [restaurant_id]
+  )
+  return result.rows
+}
+
+// ============================================
+// RESERVATION ROUTES
+// ============================================
+
+// Create a reservation
+app.post('/api/reservations', authenticateToken, async (req, res) => {
+  try {
+    const { 
+      restaurant_id, 
+      table_id,  // Optional: a single table picked from the floor plan
+      table_ids,  // Optional: several tables to seat the party together
+      reservation_date, 
+      reservation_time, 
+      party_size, 
+      special_requests,
+      hold_token,  // Optional: from POST /api/restaurants/:id/holds
+      area_id,  // Optional: preferred dining area
+      recurrence,  // Optional: { frequency, until | count } to book a recurring series
+      customer_name,
+      customer_phone,
+      customer_email
+    } = req.body
+    const customer_id = req.user.id
+
+    if (!restaurant_id || !reservation_date || !reservation_time || !party_size) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!Number.isInteger(Number(restaurant_id))) {
+      return res.status(400).json({ error: 'Invalid restaurant' })
+    }
+
+    if (!isValidDateString(reservation_date) || !isValidTimeString(reservation_time)) {
+      return res.status(400).json({ error: 'Invalid reservation date or time' })
+    }
+
+    if (!Number.isInteger(Number(party_size)) || Number(party_size) < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    if (area_id && !Number.isInteger(Number(area_id))) {
+      return res.status(400).json({ error: 'Invalid area' })
+    }
+
+    // Get customer info for notification
+    const customerResult = await pool.query(
+      'SELECT first_name, last_name, email FROM customer WHERE id = $1',
+      [customer_id]
+    )
+    const customer = customerResult.rows[0] || { first_name: 'Guest', last_name: '', email: customer_email }
+    const customerName = customer_name || `${customer.first_name} ${customer.last_name}`.trim() || 'Guest'
+
+    const bookingDetails = {
+      customer_id,
+      restaurant_id,
+      reservation_time,
+      party_size: Number(party_size),
+      table_ids: Array.isArray(table_ids) ? table_ids : (table_id ? [table_id] : null),
+      special_requests,
+      area_preference_id: area_id ? Number(area_id) : null
+    }
+
+    // A recurring booking creates one reservation per date; dates that cannot be
+    // booked are returned as conflicts
+    if (recurrence) {
+      const recurrenceError = hold_token
+        ? 'A table hold cannot be used for a recurring booking'
+        : validateRecurrence(recurrence, reservation_date)
+      if (recurrenceError) {
+        return res.status(400).json({ error: recurrenceError })
+      }
+
+      const dates = getSeriesDates(reservation_date, recurrence)
+      if (dates.length > MAX_SERIES_OCCURRENCES) {
+        return res.status(400).json({ error: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` })
+      }
+
+      const result = await bookReservationSeries(pool, bookingDetails, recurrence, dates)
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, conflicts: result.conflicts })
+      }
+
+      await createNotification(pool, {
+        restaurant_id,
+        type: 'reservation_new',
+        title: 'New Recurring Reservation',
+        message: `${customerName} booked ${result.reservations.length} ${recurrence.frequency} reservation(s) for ${party_size} guest(s) at ${reservation_time}, starting ${toDateString(result.reservations[0].reservation_date)}`,
+        reservation_id: result.reservations[0].id
+      })
+
+      return res.status(201).json({
+        message: result.conflicts.length > 0
+          ? `${result.reservations.length} of ${dates.length} reservation(s) created; the others conflicted with existing bookings`
+          : 'Recurring reservations created successfully',
+        series: result.series,
+        reservations: result.reservations,
+        conflicts: result.conflicts
+      })
+    }
+
+    const booking = await bookReservation(pool, {
+      ...bookingDetails,
+      reservation_date,
+      hold_token
+    })
+
+    // A fully booked slot can still be waitlisted
+    if (booking.error) {
+      return res.status(booking.status).json({
+        error: booking.error,
+        waitlist_available: ['fully_booked', 'pacing'].includes(booking.reason)
+      })
+    }
+
+    const reservation = booking.reservation
+
+    // Create notification for staff
+    const awaitingDeposit = reservation.status === 'awaiting_deposit'
+    await createNotification(pool, {
+      restaurant_id,
+      type: 'reservation_new',
+      title: 'New Reservation',
+      message: `${customerName} made a reservation for ${party_size} guest(s) on ${reservation_date} at ${reservation_time}` +
+        (awaitingDeposit ? ` (awaiting a deposit of ${reservation.deposit_amount})` : ''),
+      reservation_id: reservation.id
+    })
+
+    // The table is held until the deposit is paid; if HitPay is unavailable the
+    // customer can retry with POST /api/reservations/:id/deposit
+    if (awaitingDeposit) {
+      const payment = await createDepositPayment(pool, reservation)
+      return res.status(201).json({
+        message: `Reservation held. Pay the deposit within ${DEPOSIT_PAYMENT_MINUTES} minutes to confirm it.`,
+        reservation,
+        deposit: { amount: reservation.deposit_amount, expires_at: reservation.deposit_expires_at, ...payment }
+      })
+    }
+
+    res.status(201).json({
+      message: 'Reservation created successfully',
+      reservation
+    })
+  } catch (error) {
+    console.error('Create reservation error:', error)
+    res.status(500).json({ error: 'Internal server error: ' + error.message })
+  }
+})
+
+// Failed lookups allowed per IP address and per confirmation code within the
+// window, so codes cannot be guessed against a surname or phone number
+const LOOKUP_ATTEMPT_WINDOW_MINUTES = 15
+const LOOKUP_MAX_FAILURES_PER_IP = 10
+const LOOKUP_MAX_FAILURES_PER_CODE = 5
+
+// Look up a booking by confirmation code plus last name or phone number.
+// Works without an account, e.g. for guest and phone bookings.
+app.post('/api/reservations/lookup', async (req, res) => {
+  try {
+    const { confirmation_code, last_name, phone } = req.body
+
+    if (!confirmation_code || (!last_name && !phone)) {
+      return res.status(400).json({ error: 'Confirmation code and last name or phone number are required' })
+    }
+
+    if (phone && String(phone).replace(/\D/g, '').length < 7) {
+      return res.status(400).json({ error: 'Please enter the full phone number used for the booking' })
+    }
+
+    const ipAddress = String(req.ip || '').slice(0, 45)
+    const code = String(confirmation_code).toUpperCase().replace(/[\s-]/g, '').slice(0, 8)
+    const failures = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE ip_address = $1)::int as by_ip,
+              COUNT(*) FILTER (WHERE confirmation_code = $2)::int as by_code
+       FROM reservation_lookup_attempt
+       WHERE created_at > NOW() - make_interval(mins => $3)`,
+      [ipAddress, code, LOOKUP_ATTEMPT_WINDOW_MINUTES]
+    )
+
+    if (failures.rows[0].by_ip >= LOOKUP_MAX_FAILURES_PER_IP || failures.rows[0].by_code >= LOOKUP_MAX_FAILURES_PER_CODE) {
+      return res.status(429).json({ error: `Too many unsuccessful lookups. Please try again in ${LOOKUP_ATTEMPT_WINDOW_MINUTES} minutes.` })
+    }
+
+    const [reservation] = await lookupReservations(pool, { code, last_name, phone })
+
+    if (!reservation) {
+      await pool.query(
+        'INSERT INTO reservation_lookup_attempt (ip_address, confirmation_code) VALUES ($1, $2)',
+        [ipAddress, code]
+      )
+      return res.status(404).json({ error: 'No reservation matches those details' })
+    }
+
+    res.json({
+      id: reservation.id,
+      confirmation_code: reservation.confirmation_code,
+      restaurant_id: reservation.restaurant_id,
+      restaurant_name: reservation.restaurant_name,
+      reservation_date: toDateString(reservation.reservation_date),
+      reservation_time: reservation.reservation_time,
+      party_size: reservation.party_size,
+      status: reservation.status,
+      table_numbers: reservation.table_numbers,
+      special_requests: reservation.special_requests
+    })
+  } catch (error) {
+    console.error('Look up reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get the confirmation code and check-in QR payload for a reservation (customer)
+app.get('/api/reservations/:id/check-in-code', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const result = await pool.query(
+      'SELECT id, confirmation_code, status FROM reservation WHERE id = $1 AND customer_id = $2',
+      [id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = result.rows[0]
+    if (!reservation.confirmation_code) {
+      return res.status(409).json({ error: 'This reservation has no confirmation code' })
+    }
+
+    res.json({
+      reservation_id: reservation.id,
+      confirmation_code: reservation.confirmation_code,
+      qr_payload: getCheckInPayload(reservation)
+    })
+  } catch (error) {
+    console.error('Get check-in code error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Download a reservation as an iCalendar (.ics) file
+app.get('/api/reservations/:id/calendar.ics', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const result = await pool.query(
+      `SELECT r.*, rest.name as restaurant_name, rest.address as restaurant_address
+       FROM reservation r
+       JOIN restaurant rest ON rest.id = r.restaurant_id
+       WHERE r.id = $1 AND r.customer_id = $2`,
+      [id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = result.rows[0]
+    const calendar = buildReservationCalendar([reservation], {
+      name: reservation.restaurant_name,
+      turnTimes: await getRestaurantTurnTimes(pool, reservation.restaurant_id)
+    })
+
+    sendCalendar(res, calendar, `reservation-${reservation.confirmation_code || reservation.id}.ics`)
+  } catch (error) {
+    console.error('Get reservation calendar error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get customer reservations
+app.get('/api/reservations', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.*, rest.name as restaurant_name,
+              (SELECT json_agg(t.table_number ORDER BY t.table_number)
+               FROM reservation_table rt
+               JOIN "table" t ON t.id = rt.table_id
+               WHERE rt.reservation_id = r.id) as table_numbers
+       FROM reservation r
+       LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
+       WHERE r.customer_id = $1
+       ORDER BY r.reservation_date DESC, r.reservation_time DESC`,
+      [req.user.id]
+    )
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get reservations error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update reservation
+// Besides special requests, a pending or confirmed reservation can be moved to
+// another date, time or party size if the new slot is available. The only status
+// a customer can set is a cancellation, which follows the cancellation policy.
+app.put('/api/reservations/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { status, special_requests, reservation_date, reservation_time, party_size, table_ids } = req.body
+
+    if (status !== undefined && !['cancellation_requested', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Customers can only change a reservation\'s status by cancelling it' })
+    }
+
+    if (reservation_date !== undefined || reservation_time !== undefined || party_size !== undefined || table_ids !== undefined) {
+      const currentResult = await pool.query(
+        `SELECT r.*, c.first_name, c.last_name
+         FROM reservation r
+         LEFT JOIN customer c ON c.id = r.customer_id
+         WHERE r.id = $1 AND r.customer_id = $2`,
+        [id, req.user.id]
+      )
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Reservation not found' })
+      }
+
+      const current = currentResult.rows[0]
+      const customerName = `${current.first_name || ''} ${current.last_name || ''}`.trim() || 'A customer'
+      const modification = await rescheduleReservation(pool, current, {
+        reservation_date,
+        reservation_time,
+        party_size,
+        table_ids
+      }, customerName)
+
+      if (modification.error) {
+        return res.status(modification.status).json({ error: modification.error })
+      }
+    }
+
+    if (status !== undefined) {
+      const cancellation = await requestReservationCancellation(pool, id, {
+        customer_id: req.user.id,
+        actor_type: 'customer',
+        actor_id: req.user.id,
+        reason: req.body.reason
+      })
+
+      if (cancellation.error) {
+        return res.status(cancellation.status).json({
+          error: cancellation.error,
+          cancellation_policy: cancellation.cancellation_policy
+        })
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE reservation 
+       SET special_requests = COALESCE($1, special_requests)
+       WHERE id = $2 AND customer_id = $3
+       RETURNING *`,
+      [special_requests, id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    res.json({
+      message: 'Reservation updated successfully',
+      reservation: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Request cancellation (customer)
+app.post('/api/reservations/:id/request-cancellation', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reason } = req.body
+
+    const cancellation = await requestReservationCancellation(pool, id, {
+      customer_id: req.user.id,
+      actor_type: 'customer',
+      actor_id: req.user.id,
+      reason
+    })
+
+    if (cancellation.error) {
+      return res.status(cancellation.status).json({
+        error: cancellation.error,
+        cancellation_policy: cancellation.cancellation_policy
+      })
+    }
+
+    res.json({
+      message: cancellation.outcome === 'cancelled' ? 'Reservation cancelled' : 'Cancellation request submitted successfully',
+      outcome: cancellation.outcome,
+      reservation: cancellation.reservation
+    })
+  } catch (error) {
+    console.error('Request cancellation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get a recurring series with all of its reservations
+app.get('/api/reservation-series/:id', authenticateToken, async (req, res) => {
+  try {
+    const series = await getReservationSeries(pool, req.params.id, { customer_id: req.user.id })
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' })
+    }
+
+    res.json(series)
+  } catch (error) {
+    console.error('Get reservation series error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Cancel the rest of a recurring series. Each upcoming reservation follows the
+// restaurant's cancellation policy like a single cancellation would; to cancel
+// just one occurrence, use POST /api/reservations/:id/request-cancellation.
+app.post('/api/reservation-series/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const series = await getReservationSeries(pool, req.params.id, { customer_id: req.user.id })
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' })
+    }
+
+    const today = getLocalNow().date
+    const results = []
+    for (const occurrence of series.occurrences) {
+      if (toDateString(occurrence.reservation_date) < today || !['pending', 'confirmed'].includes(occurrence.status)) continue
+
+      const cancellation = await requestReservationCancellation(pool, occurrence.id, {
+        customer_id: req.user.id,
+        actor_type: 'customer',
+        actor_id: req.user.id,
+        reason: req.body.reason || 'Recurring series cancelled'
+      })
+      results.push({
+        reservation_id: occurrence.id,
+        reservation_date: toDateString(occurrence.reservation_date),
+        outcome: cancellation.outcome || null,
+        error: cancellation.error || null
+      })
+    }
+
+    const status = await updateCancelledSeriesStatus(pool, series.id)
+
+    res.json({
+      message: status === 'cancelled' ? 'Series cancelled' : 'Series partly cancelled. Some bookings are still awaiting the restaurant or could not be cancelled.',
+      status,
+      results
+    })
+  } catch (error) {
+    console.error('Cancel reservation series error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// GUEST BOOKING ROUTES
+// ============================================
+
+// Guests book without an account by proving they own an email address or
+// phone number with a one-time code, then manage the booking through a signed link.
+const GUEST_CODE_MINUTES = 10
+const GUEST_CODE_MAX_ATTEMPTS = 5
+const GUEST_CODE_RESEND_SECONDS = 60
+const GUEST_MANAGE_LINK_EXPIRY = '90d'
+
+function hashVerificationCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex')
+}
+
+// Normalise a guest's email or phone number so codes match however it was typed
+function normaliseGuestContact({ email, phone }) {
+  if (email) {
+    const destination = String(email).trim().toLowerCase()
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination) ? { channel: 'email', destination } : null
+  }
+  if (phone) {
+    const destination = String(phone).replace(/[\s()-]/g, '')
+    return /^\+?\d{7,15}$/.test(destination) ? { channel: 'sms', destination } : null
+  }
+  return null
+}
+
+// Deliver a verification code by email through Resend (RESEND_API_KEY, EMAIL_FROM)
+// or by SMS through Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER).
+// Returns { error } if the channel has no provider configured or delivery failed.
+async function sendGuestVerificationCode({ channel, destination }, code) {
+  const text = `Your booking verification code is ${code}. It expires in ${GUEST_CODE_MINUTES} minutes.`
+  let response
+
+  if (channel === 'email') {
+    if (!process.env.RESEND_API_KEY || !process.env.EMAIL_FROM) {
+      return { error: 'Verification by email is not available. Please use a phone number instead.' }
+    }
+
+    response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+      },
+      body: JSON.stringify({
+        from: process.env.EMAIL_FROM,
+        to: [destination],
+        subject: 'Your booking verification code',
+        text,
+      }),
+    })
+  } else {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+      return { error: 'Verification by SMS is not available. Please use an email address instead.' }
+    }
+
+    response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+      },
+      body: new URLSearchParams({ To: destination, From: TWILIO_FROM_NUMBER, Body: text }),
+    })
+  }
+
+  if (!response.ok) {
+    console.error(`Guest verification ${channel} delivery failed:`, response.status, await response.text())
+    return { error: 'The verification code could not be sent. Please try again.' }
+  }
+
+  return {}
+}
+
+// Check a guest's code against the latest unexpired code sent to any of their
+// contacts. Wrong guesses count towards GUEST_CODE_MAX_ATTEMPTS.
+// Returns { verification } or { status, error }.
+async function checkGuestVerificationCode(pool, destinations, code) {
+  const result = await pool.query(
+    `SELECT * FROM guest_verification
+     WHERE destination = ANY($1) AND used_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [destinations]
+  )
+
+  if (result.rows.length === 0) {
+    return { status: 400, error: 'No valid verification code. Please request a new one.' }
+  }
+
+  const verification = result.rows[0]
+  if (verification.attempts >= GUEST_CODE_MAX_ATTEMPTS) {
+    return { status: 429, error: 'Too many incorrect attempts. Please request a new code.' }
+  }
+
+  const expected = Buffer.from(verification.code_hash, 'hex')
+  const given = Buffer.from(hashVerificationCode(code), 'hex')
+  if (!crypto.timingSafeEqual(expected, given)) {
+    await pool.query(
+      'UPDATE guest_verification SET attempts = attempts + 1 WHERE id = $1',
+      [verification.id]
+    )
+    return { status: 400, error: 'Incorrect verification code' }
+  }
+
+  return { verification }
+}
+
+// Build the signed link a guest uses to view, change or cancel their booking
+function createGuestManageLink(reservation_id) {
+  const token = jwt.sign(
+    { reservation_id, type: 'guest_booking' },
+    JWT_SECRET,
+    { expiresIn: GUEST_MANAGE_LINK_EXPIRY }
+  )
+  return {
+    manage_token: token,
+    manage_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/manage-booking?token=${token}`
+  }
+}
+
+// Load the reservation a guest's manage-booking token points at
+async function getGuestReservation(pool, reservation_id) {
+  const result = await pool.query(
+    `SELECT r.*, rest.name as restaurant_name, rest.address as restaurant_address, rest.phone as restaurant_phone,
+            rest.free_cancellation_hours, rest.cancellation_cutoff_hours,
+            (SELECT json_agg(t.table_number ORDER BY t.table_number)
+             FROM reservation_table rt
+             JOIN "table" t ON t.id = rt.table_id
+             WHERE rt.reservation_id = r.id) as table_numbers
+     FROM reservation r
+     LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
+     WHERE r.id = $1 AND r.customer_id IS NULL`,
+    [reservation_id]
+  )
+  return result.rows[0] || null
+}
+
+// Send a one-time verification code to a guest's email or phone
+app.post('/api/guest/verification', async (req, res) => {
+  try {
+    const contact = normaliseGuestContact(req.body)
+    if (!contact) {
+      return res.status(400).json({ error: 'A valid email address or phone number is required' })
+    }
+
+    const recent = await pool.query(
+      `SELECT id FROM guest_verification
+       WHERE destination = $1 AND created_at > NOW() - make_interval(secs => $2)`,
+      [contact.destination, GUEST_CODE_RESEND_SECONDS]
+    )
+
+    if (recent.rows.length > 0) {
+      return res.status(429).json({ error: `Please wait ${GUEST_CODE_RESEND_SECONDS} seconds before requesting another code` })
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+    const inserted = await pool.query(
+      `INSERT INTO guest_verification (channel, destination, code_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+       RETURNING id`,
+      [contact.channel, contact.destination, hashVerificationCode(code), GUEST_CODE_MINUTES]
+    )
+
+    // A code that never arrived must not hold up a retry
+    const delivery = await sendGuestVerificationCode(contact, code)
+    if (delivery.error) {
+      await pool.query('DELETE FROM guest_verification WHERE id = $1', [inserted.rows[0].id])
+      return res.status(503).json({ error: delivery.error })
+    }
+
+    res.json({
+      message: `Verification code sent to ${contact.destination}`,
+      expires_in_minutes: GUEST_CODE_MINUTES
+    })
+  } catch (error) {
+    console.error('Send guest verification error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Create a reservation as a guest, verified with the code sent to their email or phone
+app.post('/api/guest/reservations', async (req, res) => {
+  try {
+    const {
+      restaurant_id,
+      table_id,
+      table_ids,
+      reservation_date,
+      reservation_time,
+      party_size,
+      special_requests,
+      guest_name,
+      guest_email,
+      guest_phone,
+      area_id,
+      verification_code
+    } = req.body
+
+    if (!restaurant_id || !reservation_date || !reservation_time || !party_size || !guest_name || !verification_code) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!Number.isInteger(Number(restaurant_id))) {
+      return res.status(400).json({ error: 'Invalid restaurant' })
+    }
+
+    if (!isValidDateString(reservation_date) || !isValidTimeString(reservation_time)) {
+      return res.status(400).json({ error: 'Invalid reservation date or time' })
+    }
+
+    if (!Number.isInteger(Number(party_size)) || Number(party_size) < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    if (area_id && !Number.isInteger(Number(area_id))) {
+      return res.status(400).json({ error: 'Invalid area' })
+    }
+
+    const email = guest_email ? normaliseGuestContact({ email: guest_email }) : null
+    const phone = guest_phone ? normaliseGuestContact({ phone: guest_phone }) : null
+    if ((guest_email && !email) || (guest_phone && !phone) || (!email && !phone)) {
+      return res.status(400).json({ error: 'A valid email address or phone number is required' })
+    }
+
+    const check = await checkGuestVerificationCode(
+      pool,
+      [email, phone].filter(Boolean).map(contact => contact.destination),
+      verification_code
+    )
+    if (check.error) {
+      return res.status(check.status).json({ error: check.error })
+    }
+
+    // Claim the code before booking so it cannot make two bookings at once
+    const { verification } = check
+    const claim = await pool.query(
+      'UPDATE guest_verification SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id',
+      [verification.id]
+    )
+    if (claim.rows.length === 0) {
+      return res.status(400).json({ error: 'This verification code has already been used. Please request a new one.' })
+    }
+
+    // Only the contact the code was sent to is verified, so it is the only one stored
+    let booking
+    try {
+      booking = await bookReservation(pool, {
+        restaurant_id,
+        reservation_date,
+        reservation_time,
+        party_size: Number(party_size),
+        table_ids: Array.isArray(table_ids) ? table_ids : (table_id ? [table_id] : null),
+        special_requests,
+        guest_name: String(guest_name).trim(),
+        guest_email: verification.channel === 'email' ? verification.destination : null,
+        guest_phone: verification.channel === 'sms' ? verification.destination : null,
+        area_preference_id: area_id ? Number(area_id) : null
+      })
+    } finally {
+      // A code that did not produce a booking can be used again
+      if (!booking || booking.error) {
+        await pool.query('UPDATE guest_verification SET used_at = NULL WHERE id = $1', [verification.id])
+      }
+    }
+
+    if (booking.error) {
+      return res.status(booking.status).json({ error: booking.error })
+    }
+
+    const reservation = booking.reservation
+    await createNotification(pool, {
+      restaurant_id,
+      type: 'reservation_new',
+      title: 'New Reservation',
+      message: `${reservation.guest_name} (guest) made a reservation for ${party_size} guest(s) on ${reservation_date} at ${reservation_time}`,
+      reservation_id: reservation.id
+    })
+
+    const response = {
+      message: 'Reservation created successfully',
+      reservation,
+      ...createGuestManageLink(reservation.id)
+    }
+
+    if (reservation.status === 'awaiting_deposit') {
+      const payment = await createDepositPayment(pool, reservation)
+      response.message = `Reservation held. Pay the deposit within ${DEPOSIT_PAYMENT_MINUTES} minutes to confirm it.`
+      response.deposit = { amount: reservation.deposit_amount, expires_at: reservation.deposit_expires_at, ...payment }
+    }
+
+    res.status(201).json(response)
+  } catch (error) {
+    console.error('Create guest reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// View a guest reservation through its manage-booking link
+app.get('/api/guest/reservations/manage', authenticateGuestBookingToken, async (req, res) => {
+  try {
+    const reservation = await getGuestReservation(pool, req.guestBooking.reservation_id)
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    res.json({
+      ...reservation,
+      qr_payload: reservation.confirmation_code ? getCheckInPayload(reservation) : null,
+      cancellation_policy: getCancellationPolicy(reservation)
+    })
+  } catch (error) {
+    console.error('Get guest reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Download a guest reservation as an iCalendar (.ics) file
+app.get('/api/guest/reservations/manage/calendar.ics', authenticateGuestBookingToken, async (req, res) => {
+  try {
+    const reservation = await getGuestReservation(pool, req.guestBooking.reservation_id)
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const calendar = buildReservationCalendar([reservation], {
+      name: reservation.restaurant_name,
+      turnTimes: await getRestaurantTurnTimes(pool, reservation.restaurant_id)
+    })
+
+    sendCalendar(res, calendar, `reservation-${reservation.confirmation_code || reservation.id}.ics`)
+  } catch (error) {
+    console.error('Get guest reservation calendar error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Change a guest reservation's date, time, party size or special requests
+app.put('/api/guest/reservations/manage', authenticateGuestBookingToken, async (req, res) => {
+  try {
+    const { special_requests, reservation_date, reservation_time, party_size } = req.body
+    const current = await getGuestReservation(pool, req.guestBooking.reservation_id)
+
+    if (!current) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    if (reservation_date !== undefined || reservation_time !== undefined || party_size !== undefined) {
+      const modification = await rescheduleReservation(pool, current, {
+        reservation_date,
+        reservation_time,
+        party_size
+      }, `${current.guest_name || 'A guest'} (guest)`)
+
+      if (modification.error) {
+        return res.status(modification.status).json({ error: modification.error })
+      }
+    }
+
+    if (special_requests !== undefined) {
+      await pool.query(
+        'UPDATE reservation SET special_requests = $1 WHERE id = $2',
+        [special_requests, current.id]
+      )
+    }
+
+    res.json({
+      message: 'Reservation updated successfully',
+      reservation: await getGuestReservation(pool, current.id)
+    })
+  } catch (error) {
+    console.error('Update guest reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Start (or restart) the deposit payment for a guest reservation awaiting its deposit
+app.post('/api/guest/reservations/manage/deposit', authenticateGuestBookingToken, async (req, res) => {
+  try {
+    const reservation = await getGuestReservation(pool, req.guestBooking.reservation_id)
+
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    if (reservation.status !== 'awaiting_deposit' || reservation.deposit_status !== 'pending') {
+      return res.status(409).json({ error: 'This reservation is not awaiting a deposit' })
+    }
+
+    if (new Date(reservation.deposit_expires_at) < new Date()) {
+      return res.status(410).json({ error: 'The time to pay this deposit has run out' })
+    }
+
+    const payment = await createDepositPayment(pool, reservation)
+    if (payment.error) {
+      return res.status(502).json({ error: payment.error })
+    }
+
+    res.json({ amount: reservation.deposit_amount, ...payment })
+  } catch (error) {
+    console.error('Create guest deposit payment error:', error)
+    res.status(500).json({ error: 'Failed to create payment' })
+  }
+})
+
+// Cancel a guest reservation under the restaurant's cancellation policy
+app.post('/api/guest/reservations/manage/cancel', authenticateGuestBookingToken, async (req, res) => {
+  try {
+    const current = await getGuestReservation(pool, req.guestBooking.reservation_id)
+
+    if (!current) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const cancellation = await requestReservationCancellation(pool, current.id, {
+      actor_type: 'guest',
+      actor_id: current.guest_email || current.guest_phone,
+      reason: req.body.reason
+    })
+
+    if (cancellation.error) {
+      return res.status(cancellation.status).json({
+        error: cancellation.error,
+        cancellation_policy: cancellation.cancellation_policy
+      })
+    }
+
+    res.json({
+      message: cancellation.outcome === 'cancelled' ? 'Reservation cancelled' : 'Cancellation request submitted successfully',
+      outcome: cancellation.outcome,
+      reservation: cancellation.reservation
+    })
+  } catch (error) {
+    console.error('Cancel guest reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// WAITLIST ROUTES
+// ============================================
+
+// How long a customer has to claim a waitlist offer
+const WAITLIST_OFFER_MINUTES = 30
+
+// Offer a slot freed by a cancellation to the first waiting entry whose date,
+// time window and party size fit it. Returns the offered entry, or null.
+async function offerFreedSlot(pool, { restaurant_id, reservation_date, reservation_time }) {
+  try {
+    const date = toDateString(reservation_date)
+    const start = timeToMinutes(reservation_time)
+
+    const entriesResult = await pool.query(
+      `SELECT w.*, rest.name as restaurant_name
+       FROM waitlist_entry w
+       JOIN restaurant rest ON rest.id = w.restaurant_id
+       WHERE w.restaurant_id = $1
+         AND w.preferred_date = $2
+         AND w.status = 'waiting'
+         AND w.window_start <= $3::time
+         AND w.window_end >= $3::time
+       ORDER BY w.created_at`,
+      [restaurant_id, date, minutesToTime(start)]
+    )
+
+    if (entriesResult.rows.length === 0) {
+      return null
+    }
+
+    for (const entry of entriesResult.rows) {
+      // The offered tables are held for the customer until the offer runs out, so
+      // nobody else can book them in the meantime. The offer token is the hold token.
+      const token = crypto.randomBytes(24).toString('hex')
+      const offer = await withBookingLock(pool, { restaurant_id, date }, async (client) => {
+        const context = await loadAvailabilityContext(client, { restaurant_id, date })
+        const slot = context && evaluateSlot(context, { start, party_size: entry.party_size })
+        if (!slot || !slot.available) {
+          return { error: 'Slot not available for this party' }
+        }
+
+        const offerResult = await client.query(
+          `UPDATE waitlist_entry
+           SET status = 'offered',
+               offered_time = $1,
+               offer_token = $2,
+               offer_expires_at = NOW() + ($3 || ' minutes')::interval,
+               updated_at = NOW()
+           WHERE id = $4 AND status = 'waiting'
+           RETURNING *`,
+          [minutesToTime(start), token, WAITLIST_OFFER_MINUTES, entry.id]
+        )
+
+        if (offerResult.rows.length === 0) {
+          return { error: 'Entry is no longer waiting' }
+        }
+
+        await client.query(
+          `INSERT INTO reservation_hold (restaurant_id, customer_id, hold_token, reservation_date, reservation_time, party_size, table_ids, expires_at)
+           SELECT restaurant_id, customer_id, offer_token, preferred_date, offered_time, party_size, $2, offer_expires_at
+           FROM waitlist_entry
+           WHERE id = $1`,
+          [entry.id, slot.tables.map(table => table.id)]
+        )
+
+        return { entry: offerResult.rows[0] }
+      })
+
+      if (offer.error) {
+        continue
+      }
+
+      const claimUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/waitlist/claim?token=${token}`
+      await createCustomerNotification(pool, {
+        customer_id: entry.customer_id,
+        type: 'waitlist_offer',
+        title: 'A Table Is Available',
+        message: `Good news! A table for ${entry.party_size} at ${entry.restaurant_name} on ${date} at ${minutesToTime(start)} has opened up. Claim it within ${WAITLIST_OFFER_MINUTES} minutes: ${claimUrl}`
+      })
+
+      console.log(`📋 Waitlist entry ${entry.id} offered ${date} ${minutesToTime(start)}`)
+      return offer.entry
+    }
+
+    return null
+  } catch (error) {
+    console.error('Error offering freed slot:', error)
+    return null
+  }
+}
+
+// Join the waitlist for a date, time window and party size
+app.post('/api/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const { restaurant_id, preferred_date, window_start, window_end, notes } = req.body
+    const party_size = Number(req.body.party_size)
+    const customer_id = req.user.id
+
+    if (!restaurant_id || !preferred_date || !window_start || !window_end) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!Number.isInteger(Number(restaurant_id))) {
+      return res.status(400).json({ error: 'Invalid restaurant' })
+    }
+
+    if (!isValidDateString(preferred_date) || preferred_date < getLocalNow().date) {
+      return res.status(400).json({ error: 'Preferred date must be today or later' })
+    }
+
+    if (!isValidTimeString(window_start) || !isValidTimeString(window_end) || timeToMinutes(window_end) < timeToMinutes(window_start)) {
+      return res.status(400).json({ error: 'Invalid time window' })
+    }
+
+    if (!Number.isInteger(party_size) || party_size < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    const restaurantCheck = await pool.query(
+      'SELECT id FROM restaurant WHERE id = $1 AND is_active = true',
+      [restaurant_id]
+    )
+
+    if (restaurantCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    const existingEntry = await pool.query(
+      `SELECT id FROM waitlist_entry
+       WHERE customer_id = $1 AND restaurant_id = $2 AND preferred_date = $3 AND status IN ('waiting', 'offered')`,
+      [customer_id, restaurant_id, preferred_date]
+    )
+
+    if (existingEntry.rows.length > 0) {
+      return res.status(400).json({ error: 'You are already on the waitlist for this date' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO waitlist_entry (restaurant_id, customer_id, party_size, preferred_date, window_start, window_end, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [restaurant_id, customer_id, party_size, preferred_date, window_start, window_end, notes || null]
+    )
+
+    res.status(201).json({
+      message: 'Added to waitlist successfully',
+      entry: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Join waitlist error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get customer waitlist entries
+app.get('/api/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT w.id, w.restaurant_id, w.party_size, w.preferred_date, w.window_start, w.window_end,
+              w.status, w.offered_time, w.offer_expires_at, w.reservation_id, w.notes, w.created_at,
+              rest.name as restaurant_name
+       FROM waitlist_entry w
+       LEFT JOIN restaurant rest ON rest.id = w.restaurant_id
+       WHERE w.customer_id = $1
+       ORDER BY w.preferred_date DESC, w.created_at DESC`,
+      [req.user.id]
+    )
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get waitlist error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Leave the waitlist
+app.delete('/api/waitlist/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE waitlist_entry
+       SET status = 'cancelled', updated_at = NOW()
+       WHERE id = $1 AND customer_id = $2 AND status IN ('waiting', 'offered')
+       RETURNING *`,
+      [req.params.id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Waitlist entry not found' })
+    }
+
+    // An offer the customer turned down releases its tables to the next person in line
+    if (result.rows[0].offered_time) {
+      await pool.query('DELETE FROM reservation_hold WHERE hold_token = $1', [result.rows[0].offer_token])
+      await offerFreedSlot(pool, {
+        restaurant_id: result.rows[0].restaurant_id,
+        reservation_date: result.rows[0].preferred_date,
+        reservation_time: result.rows[0].offered_time
+      })
+    }
+
+    res.json({ message: 'Removed from waitlist' })
+  } catch (error) {
+    console.error('Leave waitlist error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Claim a waitlist offer, turning it into a reservation
+app.post('/api/waitlist/claim', authenticateToken, async (req, res) => {
+  try {
+    const { token, special_requests } = req.body
+
+    if (!token) {
+      return res.status(400).json({ error: 'Claim token is required' })
+    }
+
+    const entryResult = await pool.query(
+      `SELECT w.*, TO_CHAR(w.preferred_date, 'YYYY-MM-DD') as preferred_date,
+              w.offer_expires_at < NOW() as is_expired,
+              c.first_name, c.last_name
+       FROM waitlist_entry w
+       LEFT JOIN customer c ON c.id = w.customer_id
+       WHERE w.offer_token = $1 AND w.customer_id = $2`,
+      [token, req.user.id]
+    )
+
+    if (entryResult.rows.length === 0 || entryResult.rows[0].status !== 'offered') {
+      return res.status(404).json({ error: 'Offer not found or already used' })
+    }
+
+    const entry = entryResult.rows[0]
+
+    if (entry.is_expired) {
+      await pool.query(
+        `UPDATE waitlist_entry SET status = 'expired', updated_at = NOW() WHERE id = $1`,
+        [entry.id]
+      )
+      await offerFreedSlot(pool, {
+        restaurant_id: entry.restaurant_id,
+        reservation_date: entry.preferred_date,
+        reservation_time: entry.offered_time
+      })
+      return res.status(410).json({ error: 'This offer has expired' })
+    }
+
+    const booking = await bookReservation(pool, {
+      customer_id: entry.customer_id,
+      restaurant_id: entry.restaurant_id,
+      reservation_date: entry.preferred_date,
+      reservation_time: entry.offered_time,
+      party_size: entry.party_size,
+      special_requests: special_requests || entry.notes,
+      hold_token: entry.offer_token
+    })
+
+    if (booking.error) {
+      return res.status(booking.status).json({ error: `Sorry, this slot is no longer available. ${booking.error}` })
+    }
+
+    await pool.query(
+      `UPDATE waitlist_entry SET status = 'claimed', reservation_id = $1, updated_at = NOW() WHERE id = $2`,
+      [booking.reservation.id, entry.id]
+    )
+
+    const customerName = `${entry.first_name || ''} ${entry.last_name || ''}`.trim() || 'A waitlisted guest'
+    await createNotification(pool, {
+      restaurant_id: entry.restaurant_id,
+      type: 'reservation_new',
+      title: 'New Reservation (Waitlist)',
+      message: `${customerName} claimed a waitlist offer for ${entry.party_size} guest(s) on ${entry.preferred_date} at ${entry.offered_time}`,
+      reservation_id: booking.reservation.id
+    })
+
+    if (booking.reservation.status === 'awaiting_deposit') {
+      const payment = await createDepositPayment(pool, booking.reservation)
+      return res.status(201).json({
+        message: `Reservation held from waitlist offer. Pay the deposit within ${DEPOSIT_PAYMENT_MINUTES} minutes to confirm it.`,
+        reservation: booking.reservation,
+        deposit: { amount: booking.reservation.deposit_amount, expires_at: booking.reservation.deposit_expires_at, ...payment }
+      })
+    }
+
+    res.status(201).json({
+      message: 'Reservation created from waitlist offer',
+      reservation: booking.reservation
+    })
+  } catch (error) {
+    console.error('Claim waitlist offer error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get waitlist for staff's restaurant
+app.get('/api/staff/waitlist', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { date } = req.query
+
+    let query = `
+      SELECT w.id, w.party_size, w.preferred_date, w.window_start, w.window_end, w.status,
+             w.offered_time, w.offer_expires_at, w.reservation_id, w.notes, w.created_at,
+             c.first_name || ' ' || c.last_name as customer_name,
+             c.phone as customer_phone
+      FROM waitlist_entry w
+      LEFT JOIN customer c ON c.id = w.customer_id
+      WHERE w.restaurant_id = $1
+    `
+    const params = [restaurant_id]
+
+    if (date) {
+      query += ' AND w.preferred_date = $2'
+      params.push(date)
+    } else {
+      query += ' AND w.preferred_date >= $2'
+      params.push(getLocalNow().date)
+    }
+
+    query += ' ORDER BY w.preferred_date, w.created_at'
+
+    const result = await pool.query(query, params)
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get staff waitlist error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// EVENT ENQUIRY ROUTES
+// ============================================
+
+// How long a quote stays open for the customer unless staff set another validity
+const EVENT_QUOTE_VALID_DAYS = 7
+
+// How long an accepted event waits for its deposit before the tables are released
+const EVENT_DEPOSIT_HOURS = 48
+
+// Length of an event when the quote does not say
+const DEFAULT_EVENT_MINUTES = 180
+
+// Accept a quoted enquiry: book the quoted tables for the whole event, block them
+// so nothing else is seated there, and hold the booking for the deposit if one is due.
+// Returns { reservation } or { status, error } when the event can no longer be booked.
+async function acceptEventQuote(pool, enquiry) {
+  const date = toDateString(enquiry.event_date)
+  const start = timeToMinutes(enquiry.event_time)
+
+  return withBookingLock(pool, { restaurant_id: enquiry.restaurant_id, date }, async (client) => {
+    // Re-read under the lock so a quote can only be accepted once
+    const current = await client.query(
+      'SELECT status, quote_expires_at FROM event_enquiry WHERE id = $1 FOR UPDATE',
+      [enquiry.id]
+    )
+    if (current.rows[0].status !== 'quoted') {
+      return { status: 409, error: 'This enquiry has no open quote to accept' }
+    }
+    if (new Date(current.rows[0].quote_expires_at) <= new Date()) {
+      return { status: 409, error: 'This quote has expired. Please contact the restaurant for a new one.' }
+    }
+    if (date < getLocalNow().date) {
+      return { status: 409, error: 'The event date has already passed' }
+    }
+
+    const context = await loadAvailabilityContext(client, { restaurant_id: enquiry.restaurant_id, date })
+    if (!context) {
+      return { status: 404, error: 'Restaurant not found' }
+    }
+
+    const occupied = getOccupiedTableIds(context, start, enquiry.duration_minutes)
+    const tablesFree = enquiry.table_ids.every(tableId =>
+      context.tables.some(table => table.id === tableId) && !occupied.has(tableId)
+    )
+    if (!tablesFree) {
+      return { status: 409, error: 'Some of the quoted tables are no longer free for your event. Please contact the restaurant.' }
+    }
+
+    const depositAmount = Number(enquiry.deposit_amount) > 0 ? enquiry.deposit_amount : null
+    const status = depositAmount ? 'awaiting_deposit' : 'confirmed'
+
+    const result = await insertWithConfirmationCode(client, (confirmationCode) =>
+      client.query(
+        `INSERT INTO reservation
+          (customer_id, restaurant_id, table_id, reservation_date, reservation_time, party_size, special_requests, status,
+           source, deposit_amount, deposit_status, deposit_expires_at, confirmation_code)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'event', $9,
+                 CASE WHEN $9::decimal IS NULL THEN NULL ELSE 'pending' END,
+                 CASE WHEN $9::decimal IS NULL THEN NULL ELSE NOW() + make_interval(hours => $10) END,
+                 $11)
+         RETURNING *`,
+        [
+          enquiry.customer_id, enquiry.restaurant_id, enquiry.table_ids[0], date, enquiry.event_time, enquiry.guest_count,
+          enquiry.notes, status, depositAmount, EVENT_DEPOSIT_HOURS, confirmationCode
+        ]
+      )
+    )
+    const reservation = result.rows[0]
+
+    await assignReservationTables(client, reservation.id, enquiry.table_ids)
+    for (const tableId of enquiry.table_ids) {
+      await client.query(
+        `INSERT INTO table_block (restaurant_id, table_id, starts_at, ends_at, reason, created_by_staff_id, reservation_id)
+         VALUES ($1, $2, $3::timestamp, $3::timestamp + make_interval(mins => $4), $5, $6, $7)`,
+        [
+          enquiry.restaurant_id, tableId, `${date} ${minutesToTime(start)}`, enquiry.duration_minutes,
+          `Event enquiry #${enquiry.id}`, enquiry.quoted_by_staff_id, reservation.id
+        ]
+      )
+    }
+
+    await client.query(
+      `UPDATE event_enquiry
+       SET status = 'accepted', reservation_id = $1, accepted_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [reservation.id, enquiry.id]
+    )
+    await recordStatusHistory(client, {
+      reservation_id: reservation.id,
+      from_status: null,
+      to_status: status,
+      actor_type: 'customer',
+      actor_id: enquiry.customer_id,
+      note: `Accepted event enquiry #${enquiry.id}`
+    })
+
+    return { reservation: { ...reservation, table_ids: enquiry.table_ids } }
+  })
+}
+
+// Submit an enquiry for a large party or private event
+app.post('/api/event-enquiries', authenticateToken, async (req, res) => {
+  try {
+    const { restaurant_id, event_date, event_time, budget, set_menu_interest, is_full_venue, occasion, notes } = req.body
+    const guest_count = Number(req.body.guest_count)
+
+    if (!restaurant_id || !event_date || !event_time || !req.body.guest_count) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!isValidDateString(event_date) || !isValidTimeString(event_time)) {
+      return res.status(400).json({ error: 'Invalid event date or time' })
+    }
+
+    if (event_date < getLocalNow().date) {
+      return res.status(400).json({ error: 'The event date has already passed' })
+    }
+
+    if (!Number.isInteger(guest_count) || guest_count < 1) {
+      return res.status(400).json({ error: 'Guest count must be a positive whole number' })
+    }
+
+    if (budget != null && (isNaN(Number(budget)) || Number(budget) < 0)) {
+      return res.status(400).json({ error: 'Budget must be a positive amount' })
+    }
+
+    const restaurant = await pool.query(
+      'SELECT id FROM restaurant WHERE id = $1 AND is_active = true',
+      [restaurant_id]
+    )
+
+    if (restaurant.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO event_enquiry
+        (restaurant_id, customer_id, event_date, event_time, guest_count, budget, set_menu_interest, is_full_venue, occasion, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        restaurant_id, req.user.id, event_date, event_time, guest_count, budget ?? null,
+        set_menu_interest === true, is_full_venue === true, occasion || null, notes || null
+      ]
+    )
+
+    await createNotification(pool, {
+      restaurant_id,
+      type: 'event_enquiry',
+      title: 'New Event Enquiry',
+      message: `Enquiry for ${is_full_venue === true ? 'a full-venue event' : 'an event'} for ${guest_count} guest(s) on ${event_date} at ${event_time}` +
+        (budget != null ? ` with a budget of ${budget}` : '')
+    })
+
+    res.status(201).json({
+      message: 'Enquiry sent. The restaurant will reply with a quote.',
+      enquiry: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Create event enquiry error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get the customer's event enquiries
+app.get('/api/event-enquiries', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT e.*, rest.name as restaurant_name, r.confirmation_code, r.status as reservation_status
+       FROM event_enquiry e
+       JOIN restaurant rest ON rest.id = e.restaurant_id
+       LEFT JOIN reservation r ON r.id = e.reservation_id
+       WHERE e.customer_id = $1
+       ORDER BY e.event_date DESC, e.created_at DESC`,
+      [req.user.id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get event enquiries error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Accept the restaurant's quote. Creates the booking and, when a deposit is
+// quoted, a HitPay payment request that must be paid to confirm it.
+app.post('/api/event-enquiries/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const enquiryResult = await pool.query(
+      'SELECT * FROM event_enquiry WHERE id = $1 AND customer_id = $2',
+      [id, req.user.id]
+    )
+
+    if (enquiryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Enquiry not found' })
+    }
+
+    const enquiry = enquiryResult.rows[0]
+    const booking = await acceptEventQuote(pool, enquiry)
+    if (booking.error) {
+      return res.status(booking.status).json({ error: booking.error })
+    }
+
+    const reservation = booking.reservation
+    const awaitingDeposit = reservation.status === 'awaiting_deposit'
+
+    await createNotification(pool, {
+      restaurant_id: enquiry.restaurant_id,
+      type: 'event_enquiry',
+      title: 'Event Quote Accepted',
+      message: `The quote for event enquiry #${enquiry.id} (${enquiry.guest_count} guest(s) on ${toDateString(enquiry.event_date)}) was accepted` +
+        (awaitingDeposit ? ` and is awaiting a deposit of ${reservation.deposit_amount}` : ''),
+      reservation_id: reservation.id
+    })
+
+    if (awaitingDeposit) {
+      const payment = await createDepositPayment(pool, reservation)
+      return res.status(201).json({
+        message: `Quote accepted. Pay the deposit within ${EVENT_DEPOSIT_HOURS} hours to confirm your event.`,
+        reservation,
+        deposit: { amount: reservation.deposit_amount, expires_at: reservation.deposit_expires_at, ...payment }
+      })
+    }
+
+    res.status(201).json({
+      message: 'Quote accepted. Your event is confirmed.',
+      reservation
+    })
+  } catch (error) {
+    console.error('Accept event quote error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Withdraw an enquiry or turn down its quote
+app.post('/api/event-enquiries/:id/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE event_enquiry
+       SET status = 'withdrawn', updated_at = NOW()
+       WHERE id = $1 AND customer_id = $2 AND status IN ('submitted', 'quoted')
+       RETURNING *`,
+      [req.params.id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No open enquiry found' })
+    }
+
+    await createNotification(pool, {
+      restaurant_id: result.rows[0].restaurant_id,
+      type: 'event_enquiry',
+      title: 'Event Enquiry Withdrawn',
+      message: `Event enquiry #${result.rows[0].id} for ${toDateString(result.rows[0].event_date)} was withdrawn by the customer`
+    })
+
+    res.json({ message: 'Enquiry withdrawn', enquiry: result.rows[0] })
+  } catch (error) {
+    console.error('Withdraw event enquiry error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get the restaurant's event enquiries, optionally filtered by status
+app.get('/api/staff/event-enquiries', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { status } = req.query
+
+    const result = await pool.query(
+      `SELECT e.*, c.first_name || ' ' || c.last_name as customer_name, c.email as customer_email, c.phone as customer_phone,
+              r.confirmation_code, r.status as reservation_status
+       FROM event_enquiry e
+       LEFT JOIN customer c ON c.id = e.customer_id
+       LEFT JOIN reservation r ON r.id = e.reservation_id
+       WHERE e.restaurant_id = $1 AND ($2::varchar IS NULL OR e.status = $2)
+       ORDER BY e.event_date, e.created_at`,
+      [restaurant_id, status || null]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get staff event enquiries error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Send (or revise) a quote for an enquiry. Quote the tables to use with table_ids,
+// or full_venue: true for every table. The response lists existing bookings on
+// those tables so staff can move them before the customer accepts.
+app.post('/api/staff/event-enquiries/:id/quote', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id, id: staff_id } = req.staff
+    const { id } = req.params
+    const { set_menu, price_per_guest, minimum_spend, deposit_amount, table_ids, full_venue, quote_notes } = req.body
+    const duration_minutes = req.body.duration_minutes ?? DEFAULT_EVENT_MINUTES
+    const valid_days = req.body.valid_days ?? EVENT_QUOTE_VALID_DAYS
+
+    const enquiryResult = await pool.query(
+      'SELECT * FROM event_enquiry WHERE id = $1 AND restaurant_id = $2',
+      [id, restaurant_id]
+    )
+
+    if (enquiryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Enquiry not found' })
+    }
+
+    const enquiry = enquiryResult.rows[0]
+    if (!['submitted', 'quoted'].includes(enquiry.status)) {
+      return res.status(409).json({ error: `A ${enquiry.status} enquiry cannot be quoted` })
+    }
+
+    const amounts = { price_per_guest, minimum_spend, deposit_amount }
+    for (const [field, value] of Object.entries(amounts)) {
+      if (value != null && (isNaN(Number(value)) || Number(value) < 0)) {
+        return res.status(400).json({ error: `${field} must be a positive amount` })
+      }
+    }
+
+    const start = timeToMinutes(enquiry.event_time)
+    if (!Number.isInteger(duration_minutes) || duration_minutes < 1 || start + duration_minutes > 24 * 60) {
+      return res.status(400).json({ error: 'Duration must be a whole number of minutes and the event must end by midnight' })
+    }
+
+    if (!Number.isInteger(valid_days) || valid_days < 1) {
+      return res.status(400).json({ error: 'valid_days must be a positive whole number' })
+    }
+
+    if (full_venue !== true && (!Array.isArray(table_ids) || table_ids.length === 0 || !table_ids.every(tableId => Number.isInteger(Number(tableId))))) {
+      return res.status(400).json({ error: 'Quote the tables with table_ids, or set full_venue' })
+    }
+
+    const tablesResult = await pool.query(
+      `SELECT id, capacity FROM "table"
+       WHERE restaurant_id = $1 AND is_available = true AND ($2::integer[] IS NULL OR id = ANY($2))`,
+      [restaurant_id, full_venue === true ? null : table_ids.map(Number)]
+    )
+
+    if (tablesResult.rows.length === 0 || (full_venue !== true && tablesResult.rows.length !== new Set(table_ids.map(Number)).size)) {
+      return res.status(400).json({ error: 'The quoted tables must exist and be in service' })
+    }
+
+    const quotedTableIds = tablesResult.rows.map(table => table.id)
+    const result = await pool.query(
+      `UPDATE event_enquiry
+       SET status = 'quoted', set_menu = $1, price_per_guest = $2, minimum_spend = $3, deposit_amount = $4,
+           duration_minutes = $5, table_ids = $6, is_full_venue = $7, quote_notes = $8,
+           quote_expires_at = NOW() + make_interval(days => $9), quoted_by_staff_id = $10,
+           quoted_at = NOW(), updated_at = NOW()
+       WHERE id = $11
+       RETURNING *`,
+      [
+        set_menu || null, price_per_guest ?? null, minimum_spend ?? null, deposit_amount ?? null,
+        duration_minutes, quotedTableIds, full_venue === true, quote_notes || null,
+        valid_days, staff_id, id
+      ]
+    )
+
+    const eventDate = toDateString(enquiry.event_date)
+    const starts = new Date(`${eventDate}T${minutesToTime(start)}:00`)
+    const conflicts = await findTableBlockConflicts(pool, restaurant_id, {
+      table_ids: quotedTableIds,
+      starts,
+      ends: new Date(starts.getTime() + duration_minutes * 60000)
+    })
+
+    const seats = tablesResult.rows.reduce((sum, table) => sum + table.capacity, 0)
+    await createCustomerNotification(pool, {
+      customer_id: enquiry.customer_id,
+      type: 'event_quote',
+      title: 'Your Event Quote',
+      message: `The restaurant has sent a quote for your event on ${eventDate}` +
+        (deposit_amount ? ` with a deposit of ${Number(deposit_amount).toFixed(2)}` : '') +
+        `. It is valid for ${valid_days} day(s).`
+    })
+
+    res.json({
+      message: 'Quote sent',
+      enquiry: result.rows[0],
+      seats,
+      conflicts,
+      warning: [
+        seats < enquiry.guest_count ? `The quoted tables seat ${seats} of ${enquiry.guest_count} guest(s)` : null,
+        conflicts.length > 0 ? `${conflicts.length} existing reservation(s) use these tables during the event and need to be moved` : null
+      ].filter(Boolean).join('. ') || null
+    })
+  } catch (error) {
+    console.error('Quote event enquiry error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Decline an enquiry the restaurant cannot host
+app.post('/api/staff/event-enquiries/:id/decline', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { reason } = req.body
+
+    const result = await pool.query(
+      `UPDATE event_enquiry
+       SET status = 'declined', decline_reason = $1, updated_at = NOW()
+       WHERE id = $2 AND restaurant_id = $3 AND status IN ('submitted', 'quoted')
+       RETURNING *`,
+      [reason || null, req.params.id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No open enquiry found' })
+    }
+
+    await createCustomerNotification(pool, {
+      customer_id: result.rows[0].customer_id,
+      type: 'event_quote',
+      title: 'Event Enquiry Declined',
+      message: `Unfortunately the restaurant cannot host your event on ${toDateString(result.rows[0].event_date)}` +
+        (reason ? `: ${reason}` : '.')
+    })
+
+    res.json({ message: 'Enquiry declined', enquiry: result.rows[0] })
+  } catch (error) {
+    console.error('Decline event enquiry error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// ORDER ROUTES
+// ============================================
+
+// Largest quantity of one menu item per order line
+const MAX_ORDER_ITEM_QUANTITY = 99
+
+// Price order lines from the restaurant's menu instead of trusting the client.
+// Each line needs an item_id (or the exact name of an item on this restaurant's
+// menu), a quantity and any option_ids chosen; options add their price to the
+// item's. Returns { items, total } with server-side prices, or { errors }
+// listing every line that cannot be ordered and why.
+async function priceOrderItems(pool, restaurant_id, lines) {
+  const menuResult = await pool.query(
+    `SELECT mi.id, mi.item_name, mi.price, mi.is_available
+     FROM menu_item mi
+     JOIN menu_category mc ON mc.id = mi.category_id
+     WHERE mc.restaurant_id = $1`,
+    [restaurant_id]
+  )
+
+  const optionGroups = await getMenuOptionGroups(pool, menuResult.rows.map(item => item.id))
+  const byId = new Map(menuResult.rows.map(item => [item.id, item]))
+  const byName = new Map()
+  for (const item of menuResult.rows) {
+    const key = item.item_name.trim().toLowerCase()
+    byName.set(key, [...(byName.get(key) || []), item])
+  }
+
+  const items = []
+  const errors = []
+  lines.forEach((line, index) => {
+    const requestedId = line.item_id || line.id || null
+    const name = line.item_name || line.name || null
+    const fail = (error) => errors.push({ index, item_id: requestedId, item_name: name, error })
+
+    let item
+    if (requestedId) {
+      item = byId.get(Number(requestedId))
+    } else {
+      const matches = byName.get(String(name || '').trim().toLowerCase()) || []
+      if (matches.length > 1) {
+        return fail('Several menu items have this name; order it by item_id')
+      }
+      item = matches[0]
+    }
+
+    if (!item) {
+      return fail('This item is not on the restaurant\'s menu')
+    }
+    if (!item.is_available) {
+      return fail(`${item.item_name} is currently unavailable`)
+    }
+
+    const quantity = Number(line.quantity)
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ORDER_ITEM_QUANTITY) {
+      return fail(`Quantity must be a whole number between 1 and ${MAX_ORDER_ITEM_QUANTITY}`)
+    }
+
+    const selection = checkOptionSelection(optionGroups.get(item.id) || [], line.option_ids)
+    if (selection.error) {
+      return fail(selection.error)
+    }
+
+    // Work in cents so totals do not pick up floating point errors
+    const unitCents = selection.options.reduce(
+      (sum, option) => sum + Math.round(Number(option.price_delta) * 100),
+      Math.round(Number(item.price) * 100)
+    )
+    items.push({
+      item_id: item.id,
+      item_name: item.item_name,
+      options: selection.options,
+      quantity,
+      unit_cents: unitCents,
+      subtotal_cents: unitCents * quantity,
+      special_instruction: line.special_instruction || line.special_instructions || null
+    })
+  })
+
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  const totalCents = items.reduce((sum, item) => sum + item.subtotal_cents, 0)
+  return {
+    items: items.map(({ unit_cents, subtotal_cents, ...item }) => ({
+      ...item,
+      unit_price: (unit_cents / 100).toFixed(2),
+      subtotal: (subtotal_cents / 100).toFixed(2)
+    })),
+    total: (totalCents / 100).toFixed(2)
+  }
+}
+
+// Create order. Prices, subtotals and the total always come from the menu;
+// any price or total_amount in the request is ignored.
+app.post('/api/orders', authenticateToken, async (req, res) => {
+  const client = await pool.connect()
+  try {
+    const { cart_id, reservation_id, notes, items, restaurant_id: req_restaurant_id } = req.body
+    const customer_id = req.user.id
+
+    let lines
+    let restaurant_id = req_restaurant_id
+
+    // Case 1: Get items from database cart
+    if (cart_id) {
+      const cart = await pool.query(
+        'SELECT * FROM cart WHERE id = $1 AND customer_id = $2',
+        [cart_id, customer_id]
+      )
+
+      if (cart.rows.length === 0) {
+        return res.status(404).json({ error: 'Cart not found' })
+      }
+      restaurant_id = cart.rows[0].restaurant_id
+
+      const cartItemsResult = await pool.query(
+        'SELECT item_id, quantity, special_instruction, option_ids FROM cart_item WHERE cart_id = $1',
+        [cart_id]
+      )
+      lines = cartItemsResult.rows
+
+      if (lines.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' })
+      }
+    } 
+    // Case 2: Get items directly from request body (local cart)
+    else if (Array.isArray(items) && items.length > 0) {
+      if (!restaurant_id) {
+        return res.status(400).json({ error: 'Restaurant ID is required' })
+      }
+      lines = items
+    } 
+    else {
+      return res.status(400).json({ error: 'No items to order' })
+    }
+
+    const pricing = await priceOrderItems(pool, restaurant_id, lines)
+    if (pricing.errors) {
+      return res.status(400).json({
+        error: 'Some items cannot be ordered',
+        item_errors: pricing.errors
+      })
+    }
+
+    // The order, its items and the emptied cart are saved together or not at all
+    await client.query('BEGIN')
+    const orderResult = await client.query(
+      `INSERT INTO orders (customer_id, reservation_id, restaurant_id, status, notes, total_amount, payment_status, payment_method)
+       VALUES ($1, $2, $3, 'pending', $4, $5, 'unpaid', NULL)
+       RETURNING *`,
+      [customer_id, reservation_id, restaurant_id, notes, pricing.total]
+    )
+
+    const order = orderResult.rows[0]
+
+    // Create order items
+    for (const item of pricing.items) {
+      const orderItem = await client.query(
+        `INSERT INTO order_item (order_id, item_id, quantity, unit_price, subtotal, special_instructions)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [order.id, item.item_id, item.quantity, item.unit_price, item.subtotal, item.special_instruction]
+      )
+
+      // Keep the option names and prices as ordered, in case the menu changes later
+      for (const option of item.options) {
+        await client.query(
+          `INSERT INTO order_item_option (order_item_id, option_id, group_name, option_name, price_delta)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [orderItem.rows[0].id, option.option_id, option.group_name, option.option_name, option.price_delta]
+        )
+      }
+    }
+
+    // Clear database cart if using cart_id
+    if (cart_id) {
+      await client.query('DELETE FROM cart_item WHERE cart_id = $1', [cart_id])
+      await client.query('DELETE FROM cart WHERE id = $1', [cart_id])
+    }
+    await client.query('COMMIT')
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order,
+      items: pricing.items
+    })
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Create order error:', error)
+    res.status(500).json({ error: 'Internal server error: ' + error.message })
+  } finally {
+    client.release()
+  }
+})
+
+// Get customer orders
+app.get('/api/orders', authenticateToken, async (req, res) => {
+  try {
+    const ordersResult = await pool.query(
+      `SELECT o.*, r.name as restaurant_name
+       FROM orders o
+       LEFT JOIN restaurant r ON r.id = o.restaurant_id
+       WHERE o.customer_id = $1
+       ORDER BY o.order_date DESC`,
+      [req.user.id]
+    )
+
+    // Fetch order items for each order
+    const orders = await Promise.all(ordersResult.rows.map(async (order) => {
+      const itemsResult = await pool.query(
+        `SELECT oi.*, mi.item_name,
+                (SELECT json_agg(json_build_object('group_name', oio.group_name, 'option_name', oio.option_name, 'price_delta', oio.price_delta) ORDER BY oio.id)
+                 FROM order_item_option oio
+                 WHERE oio.order_item_id = oi.id) as options
+         FROM order_item oi
+         LEFT JOIN menu_item mi ON mi.id = oi.item_id
+         WHERE oi.order_id = $1`,
+        [order.id]
+      )
+      return {
+        ...order,
+        items: itemsResult.rows
+      }
+    }))
+
+    res.json(orders)
+  } catch (error) {
+    console.error('Get orders error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get order details
+app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const orderResult = await pool.query(
+      `SELECT o.*, r.name as restaurant_name, r.address as restaurant_address
+       FROM orders o
+       LEFT JOIN restaurant r ON r.id = o.restaurant_id
+       WHERE o.id = $1 AND o.customer_id = $2`,
+      [id, req.user.id]
+    )
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    const order = orderResult.rows[0]
+
+    const itemsResult = await pool.query(
+      `SELECT oi.*, mi.item_name, mi.description,
+              (SELECT json_agg(json_build_object('group_name', oio.group_name, 'option_name', oio.option_name, 'price_delta', oio.price_delta) ORDER BY oio.id)
+               FROM order_item_option oio
+               WHERE oio.order_item_id = oi.id) as options
+       FROM order_item oi
+       LEFT JOIN menu_item mi ON mi.id = oi.item_id
+       WHERE oi.order_id = $1`,
+      [id]
+    )
+
+    res.json({
+      order,
+      items: itemsResult.rows
+    })
+  } catch (error) {
+    console.error('Get order details error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// HOME
+// ============================================
+// Root route - API documentation
+app.get('/', (req, res) => {
+  const htmlDoc = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>TempahNow API Documentation</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #f8f9fa;
+      color: #333;
+      line-height: 1.6;
+      padding: 40px 20px;
+    }
+    .container { max-width: 900px; margin: 0 auto; }
+    header {
+      text-align: center;
+      margin-bottom: 50px;
+    }
+    h1 {
+      font-size: 2.5rem;
+      color: #2c3e50;
+      margin-bottom: 10px;
+    }
+    .subtitle { color: #6c757d; font-size: 1.1rem; }
+    .version {
+      display: inline-block;
+      background: #3498db;
+      color: white;
+      padding: 4px 12px;
+      border-radius: 20px;
+      font-size: 0.85rem;
+      margin-top: 15px;
+    }
+    .section {
+      background: white;
+      border-radius: 12px;
+      padding: 25px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.08);
+    }
+    .section h2 {
+      font-size: 1.3rem;
+      color: #2c3e50;
+      margin-bottom: 15px;
+      padding-bottom: 10px;
+      border-bottom: 2px solid #f1f3f4;
     }
     .endpoint {
       display: block;
@@ -1054,1014 +4444,3335 @@ app.get('/', (req, res) => {
       color: #333;
       transition: all 0.2s ease;
     }
-    .endpoint:hover {
-      background: #e9ecef;
-      transform: translateX(5px);
+    .endpoint:hover {
+      background: #e9ecef;
+      transform: translateX(5px);
+    }
+    .method {
+      display: inline-block;
+      padding: 3px 10px;
+      border-radius: 4px;
+      font-size: 0.75rem;
+      font-weight: 600;
+      margin-right: 10px;
+    }
+    .method.GET { background: #d4edda; color: #155724; }
+    .method.POST { background: #cce5ff; color: #004085; }
+    .method.PUT { background: #fff3cd; color: #856404; }
+    .method.DELETE { background: #f8d7da; color: #721c24; }
+    .path { font-family: 'Monaco', 'Consolas', monospace; color: #495057; }
+    .tag {
+      display: inline-block;
+      padding: 2px 8px;
+      background: #e9ecef;
+      border-radius: 4px;
+      font-size: 0.8rem;
+      color: #6c757d;
+      margin-right: 8px;
+    }
+    footer {
+      text-align: center;
+      margin-top: 40px;
+      color: #6c757d;
+      font-size: 0.9rem;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <header>
+      <h1>🍽️ TempahNow API</h1>
+      <p class="subtitle">Restaurant Reservation System API Documentation</p>
+      <span class="version">v1.0.0</span>
+    </header>
+
+    <div class="section">
+      <h2>🔐 Authentication</h2>
+      <a href="#auth" class="endpoint"><span class="method POST">POST</span><span class="path">/api/auth/register</span></a>
+      <a href="#auth" class="endpoint"><span class="method POST">POST</span><span class="path">/api/auth/login</span></a>
+      <a href="#auth" class="endpoint"><span class="method POST">POST</span><span class="path">/api/auth/sync-user</span></a>
+    </div>
+
+    <div class="section">
+      <h2>🏪 Restaurants</h2>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/menu</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/tables</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/availability</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/dining-areas</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/calendar.ics</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method POST">POST</span><span class="path">/api/restaurants/:id/holds</span></a>
+      <a href="#restaurants" class="endpoint"><span class="method DELETE">DELETE</span><span class="path">/api/restaurants/:id/holds/:token</span></a>
+    </div>
+
+    <div class="section">
+      <h2>📅 Reservations</h2>
+      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/reservations</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/reservations</span></a>
+      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/reservations/:id</span></a>
+      <a href="#reservations" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/reservations/:id</span></a>
+      <a href="#reservations" class="endpoint"><span class="method DELETE">DELETE</span><span class="path">/api/reservations/:id</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/reservations/:id/deposit</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/reservations/lookup</span></a>
+      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/reservations/:id/check-in-code</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/guest/verification</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/guest/reservations</span></a>
+      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/guest/reservations/manage</span></a>
+      <a href="#reservations" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/guest/reservations/manage</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/guest/reservations/manage/cancel</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/guest/reservations/manage/deposit</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/waitlist</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/waitlist/claim</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/reservation-series/:id/cancel</span></a>
+      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/reservations/:id/calendar.ics</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/event-enquiries</span></a>
+      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/event-enquiries</span></a>
+      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/event-enquiries/:id/accept</span></a>
+    </div>
+
+    <div class="section">
+      <h2>📋 Menu</h2>
+      <a href="#menu" class="endpoint"><span class="method GET">GET</span><span class="path">/api/menu/categories/:restaurantId</span></a>
+      <a href="#menu" class="endpoint"><span class="method GET">GET</span><span class="path">/api/menu/items/:restaurantId</span></a>
+    </div>
+
+    <div class="section">
+      <h2>🛒 Orders</h2>
+      <a href="#orders" class="endpoint"><span class="method GET">GET</span><span class="path">/api/orders/:reservationId</span></a>
+      <a href="#orders" class="endpoint"><span class="method POST">POST</span><span class="path">/api/orders</span></a>
+      <a href="#orders" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/orders/:id</span></a>
+    </div>
+
+    <div class="section">
+      <h2>🪑 Tables</h2>
+      <a href="#tables" class="endpoint"><span class="method GET">GET</span><span class="path">/api/tables/availability</span></a>
+    </div>
+
+    <div class="section">
+      <h2>🔔 Notifications</h2>
+      <a href="#notifications" class="endpoint"><span class="method GET">GET</span><span class="path">/api/notifications</span></a>
+    </div>
+
+    <div class="section">
+      <h2>👨‍💼 Admin</h2>
+      <a href="#admin" class="endpoint"><span class="method POST">POST</span><span class="path">/api/admin/login</span></a>
+      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/stats</span></a>
+      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/restaurants</span></a>
+      <a href="#admin" class="endpoint"><span class="method POST">POST</span><span class="path">/api/admin/restaurants</span></a>
+      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/reservations</span></a>
+      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/orders</span></a>
+      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/staff</span></a>
+      <a href="#admin" class="endpoint"><span class="method POST">POST</span><span class="path">/api/admin/staff</span></a>
+    </div>
+
+    <div class="section">
+      <h2>👨‍🍳 Staff</h2>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/login</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/dashboard</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/reservations</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/reservations</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/walk-ins</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/reservations/:id</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/orders</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/orders/:id</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/tables</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/tables</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/tables/board</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/table-combinations</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/table-blocks</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/table-blocks</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/dining-areas</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/dining-areas</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/event-enquiries</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/event-enquiries/:id/quote</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/reservations/:id/tables</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/reservations/:id/history</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/reservations/lookup</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/check-in</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/reservations/:id/clear</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/menu/categories</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/menu/categories</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/menu/items</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/menu/items/:id/option-groups</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/menu/items/:id/option-groups</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/menu/option-groups/:id</span></a>
+      <a href="#staff" class="endpoint"><span class="method DELETE">DELETE</span><span class="path">/api/staff/menu/option-groups/:id</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/menu/option-groups/:id/options</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/menu/options/:id</span></a>
+      <a href="#staff" class="endpoint"><span class="method DELETE">DELETE</span><span class="path">/api/staff/menu/options/:id</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/settings/turn-times</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/settings/turn-times</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/settings/cancellation-policy</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/settings/cancellation-policy</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/settings/no-show-policy</span></a>
+      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/settings/no-show-policy</span></a>
+      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/settings/deposit-rules</span></a>
+      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/settings/deposit-rules</span></a>
+    </div>
+    <footer>
+      <p>TempahNow Restaurant Reservation System API v1.0.0</p>
+      <p>Built with Express.js & PostgreSQL</p>
+    </footer>
+  </div>
+</body>
+</html>
+`
+  res.type('html').send(htmlDoc)
+})
+
+// ============================================
+// PAYMENT ROUTES
+// ============================================
+
+// Create payment record
+app.post('/api/payments', authenticateToken, async (req, res) => {
+  try {
+    const { order_id, amount, payment_method, payment_status, transaction_id, notes } = req.body
+    const customer_id = req.user.id
+
+    const result = await pool.query(
+      `INSERT INTO payment (customer_id, order_id, amount, payment_method, payment_status, transaction_id, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [customer_id, order_id, amount, payment_method || 'online', payment_status || 'pending', transaction_id, notes]
+    )
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Create payment error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get customer payments
+app.get('/api/payments', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*, o.restaurant_id, r.name as restaurant_name
+       FROM payment p
+       LEFT JOIN orders o ON o.id = p.order_id
+       LEFT JOIN restaurant r ON r.id = o.restaurant_id
+       WHERE p.customer_id = $1
+       ORDER BY p.created_at DESC`,
+      [req.user.id]
+    )
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get payments error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// STAFF ROUTES
+// ============================================
+
+// Staff login
+app.post('/api/staff/login', async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password required' })
+    }
+
+    // Find staff member
+    const result = await pool.query(
+      'SELECT * FROM staff WHERE email = $1',
+      [email]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' })
+    }
+
+    const staff = result.rows[0]
+
+    // Verify password
+    const isValidPassword = await bcrypt.compare(password, staff.password)
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' })
+    }
+
+    // Generate token
+    const token = jwt.sign(
+      { id: staff.id, email: staff.email, type: 'staff', restaurant_id: staff.restaurant_id, role: staff.role },
+      JWT_SECRET,
+      { expiresIn: '7d' }
+    )
+
+    res.json({
+      message: 'Login successful',
+      token,
+      staff: {
+        id: staff.id,
+        email: staff.email,
+        first_name: staff.first_name,
+        last_name: staff.last_name,
+        name: staff.name,
+        role: staff.role,
+        restaurant_id: staff.restaurant_id
+      }
+    })
+  } catch (error) {
+    console.error('Staff login error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get staff orders
+app.get('/api/staff/orders', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const result = await pool.query(
+      `SELECT o.*, r.name as restaurant_name, c.first_name || ' ' || c.last_name as customer_name
+       FROM orders o
+       LEFT JOIN restaurant r ON r.id = o.restaurant_id
+       LEFT JOIN customer c ON c.id = o.customer_id
+       WHERE o.restaurant_id = $1
+       ORDER BY o.order_date DESC`,
+      [restaurant_id]
+    )
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get staff orders error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get staff reservations
+app.get('/api/staff/reservations', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    // Get reservations
+    const result = await pool.query(
+      `SELECT r.*, rest.name as restaurant_name,
+              COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name,
+              COALESCE(r.guest_email, c.email) as customer_email,
+              COALESCE(r.guest_phone, c.phone) as customer_phone,
+              -- Minutes the party has been (or was) at the table
+              CASE WHEN r.seated_at IS NOT NULL
+                THEN ROUND(EXTRACT(EPOCH FROM (COALESCE(r.cleared_at, NOW()) - r.seated_at)) / 60)::int
+              END as actual_turn_minutes,
+              -- No-shows by the same customer (or guest phone number) at this restaurant
+              (SELECT COUNT(*)::int FROM reservation ns
+               WHERE ns.restaurant_id = r.restaurant_id
+                 AND ns.status = 'no-show'
+                 AND (ns.customer_id = r.customer_id OR (r.customer_id IS NULL AND ns.guest_phone = r.guest_phone))) as customer_no_show_count,
+              (SELECT json_agg(json_build_object('id', t.id, 'table_number', t.table_number) ORDER BY t.table_number)
+               FROM reservation_table rt
+               JOIN "table" t ON t.id = rt.table_id
+               WHERE rt.reservation_id = r.id) as tables,
+              -- Get payment info from the first order (if exists)
+              (SELECT o.payment_status FROM orders o WHERE o.reservation_id = r.id ORDER BY o.id LIMIT 1) as payment_status,
+              (SELECT o.payment_method FROM orders o WHERE o.reservation_id = r.id ORDER BY o.id LIMIT 1) as payment_method
+       FROM reservation r
+       LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
+       LEFT JOIN customer c ON c.id = r.customer_id
+       WHERE r.restaurant_id = $1
+       ORDER BY r.reservation_date DESC, r.reservation_time DESC`,
+      [restaurant_id]
+    )
+
+    const reservations = result.rows
+
+    // Get all orders for these reservations
+    const reservationIds = reservations.map(r => r.id)
+    let ordersWithItems = {}
+
+    if (reservationIds.length > 0) {
+      const ordersResult = await pool.query(
+        `SELECT o.*,
+                json_agg(
+                  json_build_object(
+                    'item_name', mi.item_name,
+                    'quantity', oi.quantity,
+                    'unit_price', oi.unit_price,
+                    'subtotal', oi.subtotal,
+                    'special_instructions', oi.special_instructions
+                  )
+                ) FILTER (WHERE oi.id IS NOT NULL) as items
+         FROM orders o
+         LEFT JOIN order_item oi ON oi.order_id = o.id
+         LEFT JOIN menu_item mi ON mi.id = oi.item_id
+         WHERE o.reservation_id = ANY($1)
+         GROUP BY o.id`,
+        [reservationIds]
+      )
+
+      // Group orders by reservation_id
+      ordersResult.rows.forEach(order => {
+        const resId = order.reservation_id
+        if (!ordersWithItems[resId]) {
+          ordersWithItems[resId] = []
+        }
+        ordersWithItems[resId].push(order)
+      })
+    }
+
+    // Attach orders to each reservation
+    const reservationsWithOrders = reservations.map(res => ({
+      ...res,
+      orders: ordersWithItems[res.id] || []
+    }))
+
+    res.json(reservationsWithOrders)
+  } catch (error) {
+    console.error('Get staff reservations error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Record a phone booking for a guest (staff)
+app.post('/api/staff/reservations', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id, id: staff_id } = req.staff
+    const {
+      guest_name,
+      guest_phone,
+      guest_email,
+      reservation_date,
+      reservation_time,
+      party_size,
+      table_ids,
+      special_requests
+    } = req.body
+
+    if (!guest_name || !guest_name.trim() || !guest_phone || !guest_phone.trim()) {
+      return res.status(400).json({ error: 'Guest name and phone are required' })
+    }
+
+    if (!reservation_date || !reservation_time || !party_size) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!isValidDateString(reservation_date) || !isValidTimeString(reservation_time)) {
+      return res.status(400).json({ error: 'Invalid reservation date or time' })
+    }
+
+    if (!Number.isInteger(Number(party_size)) || Number(party_size) < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    // Link the booking to the guest's account if they already have one
+    let customer_id = null
+    if (guest_email) {
+      const customerResult = await pool.query('SELECT id FROM customer WHERE email = $1', [guest_email])
+      customer_id = customerResult.rows[0]?.id || null
+    }
+
+    const booking = await bookReservation(pool, {
+      customer_id,
+      restaurant_id,
+      reservation_date,
+      reservation_time,
+      party_size: Number(party_size),
+      table_ids: Array.isArray(table_ids) ? table_ids : null,
+      special_requests,
+      status: 'confirmed',
+      source: 'phone',
+      guest_name: guest_name.trim(),
+      guest_phone: guest_phone.trim(),
+      guest_email: guest_email || null,
+      created_by_staff_id: staff_id
+    })
+
+    if (booking.error) {
+      return res.status(booking.status).json({ error: booking.error })
+    }
+
+    res.status(201).json({
+      message: 'Phone booking created successfully',
+      reservation: booking.reservation
+    })
+  } catch (error) {
+    console.error('Create phone booking error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Seat a walk-in party on a free table right now (staff)
+app.post('/api/staff/walk-ins', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id, id: staff_id } = req.staff
+    const { guest_name, guest_phone, table_ids, special_requests } = req.body
+    const party_size = Number(req.body.party_size)
+
+    if (!Number.isInteger(party_size) || party_size < 1) {
+      return res.status(400).json({ error: 'Party size must be a positive whole number' })
+    }
+
+    const now = getLocalNow()
+    const booking = await bookReservation(pool, {
+      restaurant_id,
+      reservation_date: now.date,
+      reservation_time: minutesToTime(now.minutes),
+      party_size,
+      table_ids: Array.isArray(table_ids) ? table_ids : null,
+      special_requests,
+      status: 'seated',
+      source: 'walk_in',
+      guest_name: guest_name ? guest_name.trim() : 'Walk-in',
+      guest_phone: guest_phone ? guest_phone.trim() : null,
+      created_by_staff_id: staff_id
+    })
+
+    if (booking.error) {
+      return res.status(booking.status).json({ error: booking.error })
+    }
+
+    res.status(201).json({
+      message: `Walk-in seated at ${booking.reservation.table_numbers.join(' + ')}`,
+      reservation: booking.reservation
+    })
+  } catch (error) {
+    console.error('Seat walk-in error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update order status
+app.put('/api/staff/orders/:id/status', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { status } = req.body
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      `UPDATE orders 
+       SET status = $1 
+       WHERE id = $2 AND restaurant_id = $3
+       RETURNING *`,
+      [status, id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' })
+    }
+
+    res.json({
+      message: 'Order status updated',
+      order: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update order status error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update reservation status
+app.put('/api/staff/reservations/:id/status', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { status } = req.body
+    const { restaurant_id } = req.staff
+
+    console.log(`📋 Staff updating reservation ${id} to status: ${status}`);
+
+    // Get reservation details first
+    const reservationResult = await pool.query(
+      'SELECT r.*, rest.name as restaurant_name FROM reservation r LEFT JOIN restaurant rest ON r.restaurant_id = rest.id WHERE r.id = $1 AND r.restaurant_id = $2',
+      [id, restaurant_id]
+    )
+
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = reservationResult.rows[0]
+    console.log(`📋 Reservation data:`, reservation);
+
+    if (!reservation.customer_id) {
+      console.error('❌ ERROR: Reservation has no customer_id!');
+    }
+
+    const change = await changeReservationStatus(pool, {
+      reservation_id: id,
+      restaurant_id,
+      to_status: status,
+      actor_type: 'staff',
+      actor_id: req.staff.id,
+      note: req.body.note || null
+    })
+
+    if (change.error) {
+      return res.status(change.status).json({ error: change.error })
+    }
+
+    // Send notification to customer when reservation is confirmed
+    if (status === 'confirmed' && reservation.customer_id) {
+      try {
+        const notifResult = await pool.query(
+          `INSERT INTO notification (restaurant_id, customer_id, type, title, message, reservation_id, is_read)
+           VALUES (NULL, $1, $2, $3, $4, $5, FALSE)
+           RETURNING *`,
+          [
+            reservation.customer_id,
+            'reservation_confirmed',
+            'Reservation Confirmed',
+            `Your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${reservation.reservation_date} at ${reservation.reservation_time} has been confirmed!`,
+            id
+          ]
+        );
+        console.log(`✅ Notification created: ID ${notifResult.rows[0].id}`);
+      } catch (notifError) {
+        console.error(`❌ Failed to create notification:`, notifError.message);
+      }
+    }
+
+    res.json({
+      message: 'Reservation status updated',
+      reservation: change.reservation
+    })
+  } catch (error) {
+    console.error('Update reservation status error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Approve cancellation request (staff)
+app.post('/api/staff/reservations/:id/approve-cancellation', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id } = req.staff
+
+    // Get reservation details first for notification
+    const reservationResult = await pool.query(
+      `SELECT r.*, rest.name as restaurant_name, c.email as customer_email
+       FROM reservation r
+       LEFT JOIN restaurant rest ON r.restaurant_id = rest.id
+       LEFT JOIN customer c ON c.id = r.customer_id
+       WHERE r.id = $1 AND r.restaurant_id = $2`,
+      [id, restaurant_id]
+    )
+
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = reservationResult.rows[0]
+
+    if (reservation.status !== 'cancellation_requested') {
+      return res.status(404).json({ error: 'Cancellation request not found or already processed' })
+    }
+
+    const change = await changeReservationStatus(pool, {
+      reservation_id: id,
+      restaurant_id,
+      to_status: 'cancelled',
+      actor_type: 'staff',
+      actor_id: req.staff.id,
+      note: reservation.cancellation_reason,
+      cancellation_reason: null
+    })
+
+    if (change.error) {
+      return res.status(404).json({ error: 'Cancellation request not found or already processed' })
+    }
+
+    // Send notification to customer about approved cancellation
+    if (reservation.customer_id) {
+      await createCustomerNotification(pool, {
+        customer_id: reservation.customer_id,
+        type: 'cancellation_approved',
+        title: 'Cancellation Approved',
+        message: `Your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${reservation.reservation_date} at ${reservation.reservation_time} has been cancelled as requested.`,
+        reservation_id: id
+      })
+    }
+
+    res.json({
+      message: 'Cancellation approved',
+      reservation: change.reservation
+    })
+  } catch (error) {
+    console.error('Approve cancellation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Reject cancellation request (staff)
+app.post('/api/staff/reservations/:id/reject-cancellation', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id } = req.staff
+
+    // Get reservation details first for notification
+    const reservationResult = await pool.query(
+      `SELECT r.*, rest.name as restaurant_name, c.email as customer_email
+       FROM reservation r
+       LEFT JOIN restaurant rest ON r.restaurant_id = rest.id
+       LEFT JOIN customer c ON c.id = r.customer_id
+       WHERE r.id = $1 AND r.restaurant_id = $2`,
+      [id, restaurant_id]
+    )
+
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = reservationResult.rows[0]
+
+    if (reservation.status !== 'cancellation_requested') {
+      return res.status(404).json({ error: 'Cancellation request not found or already processed' })
+    }
+
+    const change = await changeReservationStatus(pool, {
+      reservation_id: id,
+      restaurant_id,
+      to_status: 'confirmed',
+      actor_type: 'staff',
+      actor_id: req.staff.id,
+      note: reservation.cancellation_reason,
+      cancellation_reason: null
+    })
+
+    if (change.error) {
+      return res.status(404).json({ error: 'Cancellation request not found or already processed' })
+    }
+
+    // Send notification to customer about rejected cancellation
+    if (reservation.customer_id) {
+      await createCustomerNotification(pool, {
+        customer_id: reservation.customer_id,
+        type: 'cancellation_rejected',
+        title: 'Cancellation Request Rejected',
+        message: `Your cancellation request for your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${reservation.reservation_date} at ${reservation.reservation_time} has been rejected. Your reservation remains confirmed.`,
+        reservation_id: id
+      })
+    }
+
+    res.json({
+      message: 'Cancellation rejected, reservation confirmed',
+      reservation: change.reservation
+    })
+  } catch (error) {
+    console.error('Reject cancellation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Check in a party by confirmation code or scanned QR payload (staff).
+// The party is seated straight away unless seat is false, which only records
+// their arrival (e.g. while they wait at the bar).
+app.post('/api/staff/check-in', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id, id: staff_id } = req.staff
+    const { code, seat = true } = req.body
+
+    const input = parseCheckInInput(code)
+    if (!input) {
+      return res.status(400).json({ error: 'Enter a confirmation code or scan the QR code' })
+    }
+
+    const result = await pool.query(
+      `SELECT r.*, COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name
+       FROM reservation r
+       LEFT JOIN customer c ON c.id = r.customer_id
+       WHERE r.restaurant_id = $1 AND r.confirmation_code = $2`,
+      [restaurant_id, input.code]
+    )
+
+    const reservation = result.rows[0]
+    const signatureMatches = reservation && (!input.signature || crypto.timingSafeEqual(
+      Buffer.from(input.signature),
+      Buffer.from(getCheckInPayload(reservation).split('.')[2])
+    ))
+    if (!reservation || !signatureMatches) {
+      return res.status(404).json({ error: 'No reservation at this restaurant matches that code' })
+    }
+
+    if (reservation.status === 'seated') {
+      return res.status(409).json({ error: `${reservation.customer_name} is already seated`, reservation })
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(409).json({ error: `A ${reservation.status} reservation cannot be checked in` })
+    }
+
+    const today = getLocalNow().date
+    if (toDateString(reservation.reservation_date) !== today) {
+      return res.status(409).json({ error: `This reservation is for ${toDateString(reservation.reservation_date)}, not today` })
+    }
+
+    if (seat === false) {
+      const arrived = await pool.query(
+        'UPDATE reservation SET arrived_at = COALESCE(arrived_at, NOW()) WHERE id = $1 RETURNING *',
+        [reservation.id]
+      )
+      return res.json({
+        message: `${reservation.customer_name} has arrived`,
+        reservation: arrived.rows[0]
+      })
+    }
+
+    const change = await changeReservationStatus(pool, {
+      reservation_id: reservation.id,
+      restaurant_id,
+      to_status: 'seated',
+      actor_type: 'staff',
+      actor_id: staff_id,
+      note: input.signature ? 'Checked in by QR code' : 'Checked in by confirmation code'
+    })
+
+    if (change.error) {
+      return res.status(change.status).json({ error: change.error })
+    }
+
+    res.json({
+      message: `${reservation.customer_name} has been seated`,
+      reservation: change.reservation
+    })
+  } catch (error) {
+    console.error('Check-in error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Mark a seated party's table as cleared, completing the reservation (staff)
+app.post('/api/staff/reservations/:id/clear', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id, id: staff_id } = req.staff
+
+    const change = await changeReservationStatus(pool, {
+      reservation_id: id,
+      restaurant_id,
+      to_status: 'completed',
+      actor_type: 'staff',
+      actor_id: staff_id,
+      note: 'Table cleared'
+    })
+
+    if (change.error) {
+      return res.status(change.status).json({ error: change.error })
+    }
+
+    const { seated_at, cleared_at } = change.reservation
+    res.json({
+      message: 'Table cleared',
+      reservation: change.reservation,
+      actual_turn_minutes: seated_at ? Math.round((new Date(cleared_at) - new Date(seated_at)) / 60000) : null
+    })
+  } catch (error) {
+    console.error('Clear table error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Find reservations at staff's restaurant by confirmation code, last name and/or phone
+app.get('/api/staff/reservations/lookup', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { code, last_name, phone } = req.query
+
+    if (!code && !last_name && !phone) {
+      return res.status(400).json({ error: 'Search by code, last_name or phone' })
+    }
+
+    res.json(await lookupReservations(pool, { restaurant_id, code, last_name, phone }))
+  } catch (error) {
+    console.error('Staff look up reservation error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get a reservation's status history (staff)
+app.get('/api/staff/reservations/:id/history', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id } = req.staff
+
+    const reservationResult = await pool.query(
+      'SELECT id, status FROM reservation WHERE id = $1 AND restaurant_id = $2',
+      [id, restaurant_id]
+    )
+
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const result = await pool.query(
+      `SELECT h.*,
+              CASE
+                WHEN h.changed_by_type = 'staff' THEN s.name
+                WHEN h.changed_by_type = 'customer' THEN c.first_name || ' ' || c.last_name
+              END as changed_by_name
+       FROM reservation_status_history h
+       LEFT JOIN staff s ON h.changed_by_type = 'staff' AND s.id::text = h.changed_by_id
+       LEFT JOIN customer c ON h.changed_by_type = 'customer' AND c.id::text = h.changed_by_id
+       WHERE h.reservation_id = $1
+       ORDER BY h.created_at ASC, h.id ASC`,
+      [id]
+    )
+
+    res.json({
+      reservation_id: reservationResult.rows[0].id,
+      status: reservationResult.rows[0].status,
+      history: result.rows
+    })
+  } catch (error) {
+    console.error('Get reservation history error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get a recurring series with all of its reservations
+app.get('/api/staff/reservation-series/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const series = await getReservationSeries(pool, req.params.id, { restaurant_id: req.staff.restaurant_id })
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' })
+    }
+
+    res.json(series)
+  } catch (error) {
+    console.error('Get staff reservation series error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Cancel every upcoming reservation in a series. Single occurrences are
+// cancelled through PUT /api/staff/reservations/:id/status.
+app.post('/api/staff/reservation-series/:id/cancel', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id, id: staff_id } = req.staff
+    const series = await getReservationSeries(pool, req.params.id, { restaurant_id })
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' })
+    }
+
+    const today = getLocalNow().date
+    const cancelled = []
+    for (const occurrence of series.occurrences) {
+      if (toDateString(occurrence.reservation_date) < today) continue
+
+      const change = await changeReservationStatus(pool, {
+        reservation_id: occurrence.id,
+        restaurant_id,
+        to_status: 'cancelled',
+        actor_type: 'staff',
+        actor_id: staff_id,
+        note: req.body.reason || 'Recurring series cancelled',
+        cancellation_reason: req.body.reason || 'Recurring series cancelled'
+      })
+      if (!change.error) {
+        cancelled.push(occurrence.id)
+      }
+    }
+
+    const status = await updateCancelledSeriesStatus(pool, series.id)
+
+    if (series.customer_id && cancelled.length > 0) {
+      await createCustomerNotification(pool, {
+        customer_id: series.customer_id,
+        type: 'reservation_cancelled',
+        title: 'Recurring Reservation Cancelled',
+        message: `${series.restaurant_name} cancelled your ${series.frequency} reservation series (${cancelled.length} upcoming booking(s)).`
+      })
+    }
+
+    res.json({
+      message: status === 'cancelled' ? 'Series cancelled' : 'Series partly cancelled. Some bookings could not be cancelled.',
+      status,
+      cancelled_reservation_ids: cancelled
+    })
+  } catch (error) {
+    console.error('Cancel staff reservation series error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Change the tables assigned to a reservation (staff)
+app.put('/api/staff/reservations/:id/tables', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id } = req.staff
+    const { table_ids } = req.body
+
+    if (!Array.isArray(table_ids) || table_ids.length === 0) {
+      return res.status(400).json({ error: 'Select at least one table' })
+    }
+
+    const reservationResult = await pool.query(
+      `SELECT id, restaurant_id, TO_CHAR(reservation_date, 'YYYY-MM-DD') as reservation_date,
+              reservation_time, party_size, status
+       FROM reservation
+       WHERE id = $1 AND restaurant_id = $2`,
+      [id, restaurant_id]
+    )
+
+    if (reservationResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = reservationResult.rows[0]
+
+    if (['cancelled', 'no-show', 'completed'].includes(reservation.status)) {
+      return res.status(400).json({ error: `Tables cannot be changed on a ${reservation.status} reservation` })
+    }
+
+    // Check the new tables against every other booking on that date
+    const selection = await withBookingLock(pool, { restaurant_id, date: reservation.reservation_date }, async (client) => {
+      const context = await loadAvailabilityContext(client, {
+        restaurant_id,
+        date: reservation.reservation_date,
+        exclude_reservation_id: reservation.id
+      })
+      if (!context) {
+        return { status: 404, error: 'Restaurant not found' }
+      }
+
+      const checked = checkTableSelection(context, {
+        table_ids,
+        start: timeToMinutes(reservation.reservation_time),
+        duration: getTurnTimeMinutes(context, reservation.party_size),
+        party_size: reservation.party_size
+      })
+
+      if (checked.tables) {
+        await assignReservationTables(client, reservation.id, checked.tables.map(table => table.id))
+      }
+      return checked
+    })
+
+    if (!selection.tables) {
+      return res.status(selection.status).json({ error: selection.error })
+    }
+
+    const assignedTableIds = selection.tables.map(table => table.id)
+
+    res.json({
+      message: 'Reservation tables updated',
+      reservation: {
+        ...reservation,
+        table_id: assignedTableIds[0],
+        table_ids: assignedTableIds,
+        table_numbers: selection.tables.map(table => table.table_number)
+      }
+    })
+  } catch (error) {
+    console.error('Update reservation tables error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get staff stats
+app.get('/api/staff/stats', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    const [ordersResult, reservationsResult, revenueResult] = await Promise.all([
+      pool.query(
+        `SELECT COUNT(*) as total, 
+                COUNT(*) FILTER (WHERE status = 'pending') as pending,
+                COUNT(*) FILTER (WHERE status = 'completed') as completed
+         FROM orders 
+         WHERE restaurant_id = $1`,
+        [restaurant_id]
+      ),
+      pool.query(
+        `SELECT COUNT(*) as total,
+                COUNT(*) FILTER (WHERE status = 'pending') as pending,
+                COUNT(*) FILTER (WHERE status = 'confirmed') as confirmed
+         FROM reservation 
+         WHERE restaurant_id = $1`,
+        [restaurant_id]
+      ),
+      pool.query(
+        `SELECT COALESCE(SUM(total_amount), 0) as total_revenue
+         FROM orders 
+         WHERE restaurant_id = $1 AND status = 'completed'`,
+        [restaurant_id]
+      )
+    ])
+
+    res.json({
+      orders: ordersResult.rows[0],
+      reservations: reservationsResult.rows[0],
+      revenue: revenueResult.rows[0].total_revenue
+    })
+  } catch (error) {
+    console.error('Get staff stats error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// NOTIFICATION ROUTES (Staff)
+// ============================================
+
+// Get notifications for staff
+app.get('/api/staff/notifications', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { unread_only } = req.query
+
+    let query = `
+      SELECT n.*, r.reservation_date, r.reservation_time, r.party_size,
+             COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name
+      FROM notification n
+      LEFT JOIN reservation r ON r.id = n.reservation_id
+      LEFT JOIN customer c ON c.id = r.customer_id
+      WHERE n.restaurant_id = $1
+    `
+    const params = [restaurant_id]
+
+    if (unread_only === 'true') {
+      query += ' AND n.is_read = false'
+    }
+
+    query += ' ORDER BY n.created_at DESC LIMIT 50'
+
+    const result = await pool.query(query, params)
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get notifications error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get unread notification count
+app.get('/api/staff/notifications/count', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      'SELECT COUNT(*) as count FROM notification WHERE restaurant_id = $1 AND is_read = false',
+      [restaurant_id]
+    )
+
+    res.json({ count: parseInt(result.rows[0].count) })
+  } catch (error) {
+    console.error('Get notification count error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Mark notification as read
+app.put('/api/staff/notifications/:id/read', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      `UPDATE notification SET is_read = true WHERE id = $1 AND restaurant_id = $2 RETURNING *`,
+      [id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' })
+    }
+
+    res.json({ message: 'Notification marked as read', notification: result.rows[0] })
+  } catch (error) {
+    console.error('Mark notification read error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Mark all notifications as read
+app.put('/api/staff/notifications/read-all', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    await pool.query(
+      'UPDATE notification SET is_read = true WHERE restaurant_id = $1',
+      [restaurant_id]
+    )
+
+    res.json({ message: 'All notifications marked as read' })
+  } catch (error) {
+    console.error('Mark all notifications read error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Delete a notification
+app.delete('/api/staff/notifications/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      'DELETE FROM notification WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' })
+    }
+
+    res.json({ message: 'Notification deleted' })
+  } catch (error) {
+    console.error('Delete notification error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// STAFF MENU MANAGEMENT ROUTES
+// ============================================
+
+// Add menu category
+app.post('/api/staff/menu/categories', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { name, description, display_order } = req.body
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Category name is required' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO menu_category (restaurant_id, category_name, description, display_order)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [restaurant_id, name.trim(), description || null, display_order || 0]
+    )
+
+    res.status(201).json({
+      message: 'Menu category created successfully',
+      category: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Add menu category error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get menu categories for staff's restaurant
+app.get('/api/staff/menu/categories', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      `SELECT mc.*, COUNT(mi.id) as item_count
+       FROM menu_category mc
+       LEFT JOIN menu_item mi ON mi.category_id = mc.id
+       WHERE mc.restaurant_id = $1
+       GROUP BY mc.id
+       ORDER BY mc.display_order, mc.category_name`,
+      [restaurant_id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get menu categories error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add menu item
+app.post('/api/staff/menu/items', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { category_id, name, description, price, image_url, is_available, preparation_time } = req.body
+
+    if (!category_id) {
+      return res.status(400).json({ error: 'Please select a category' })
+    }
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Item name is required' })
+    }
+
+    if (price === undefined || price === null || price < 0) {
+      return res.status(400).json({ error: 'Valid price is required' })
+    }
+
+    // Verify category belongs to this restaurant
+    const categoryCheck = await pool.query(
+      'SELECT id FROM menu_category WHERE id = $1 AND restaurant_id = $2',
+      [category_id, restaurant_id]
+    )
+
+    if (categoryCheck.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid category' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO menu_item (category_id, item_name, description, price, image_url, is_available)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        category_id,
+        name.trim(),
+        description || null,
+        price,
+        image_url || null,
+        is_available !== false
+      ]
+    )
+
+    res.status(201).json({
+      message: 'Menu item created successfully',
+      item: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Add menu item error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Get menu items for staff's restaurant
+app.get('/api/staff/menu/items', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      `SELECT mi.*, mc.category_name as category_name
+       FROM menu_item mi
+       LEFT JOIN menu_category mc ON mc.id = mi.category_id
+       WHERE mc.restaurant_id = $1
+       ORDER BY mc.category_name, mi.item_name`,
+      [restaurant_id]
+    )
+
+    // Staff see every option, including ones marked unavailable
+    const optionGroups = await getMenuOptionGroups(pool, result.rows.map(item => item.id))
+    res.json(result.rows.map(item => ({ ...item, option_groups: optionGroups.get(item.id) || [] })))
+  } catch (error) {
+    console.error('Get menu items error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update menu item
+app.put('/api/staff/menu/items/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+    const { category_id, name, description, price, image_url, is_available, preparation_time } = req.body
+
+    // Verify menu item belongs to this restaurant
+    const itemCheck = await pool.query(
+      `SELECT id FROM menu_item 
+       WHERE id = $1 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $2)`,
+      [id, restaurant_id]
+    )
+
+    if (itemCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' })
+    }
+
+    const result = await pool.query(
+      `UPDATE menu_item
+       SET category_id = COALESCE($1, category_id),
+           item_name = COALESCE($2, item_name),
+           description = COALESCE($3, description),
+           price = COALESCE($4, price),
+           image_url = COALESCE($5, image_url),
+           is_available = COALESCE($6, is_available),
+           preparation_time = COALESCE($7, preparation_time),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $9)
+       RETURNING *`,
+      [category_id, name, description, price, image_url, is_available, preparation_time, id, restaurant_id]
+    )
+
+    res.json({
+      message: 'Menu item updated successfully',
+      item: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update menu item error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Delete menu item
+app.delete('/api/staff/menu/items/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    // Delete menu item through category to verify restaurant ownership
+    const result = await pool.query(
+      `DELETE FROM menu_item 
+       WHERE id = $1 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $2)
+       RETURNING *`,
+      [id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' })
+    }
+
+    res.json({ message: 'Menu item deleted successfully' })
+  } catch (error) {
+    console.error('Delete menu item error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Validate an option group's settings, returning an error message or null
+function validateOptionGroup({ name, is_required, min_selections, max_selections }) {
+  if (!name || !String(name).trim()) {
+    return 'Option group name is required'
+  }
+  if (typeof is_required !== 'boolean') {
+    return 'is_required must be true or false'
+  }
+  if (!Number.isInteger(min_selections) || min_selections < 0) {
+    return 'min_selections must be a whole number of 0 or more'
+  }
+  if (!Number.isInteger(max_selections) || max_selections < 1 || max_selections < min_selections) {
+    return 'max_selections must be at least 1 and not less than min_selections'
+  }
+  if (is_required !== min_selections > 0) {
+    return is_required
+      ? 'A required group needs min_selections of at least 1'
+      : 'An optional group must have min_selections of 0'
+  }
+  return null
+}
+
+// Validate a menu option, returning an error message or null
+function validateMenuOption({ name, price_delta, is_available }) {
+  if (!name || !String(name).trim()) {
+    return 'Option name is required'
+  }
+  if (!Number.isFinite(price_delta) || price_delta < 0 || price_delta > 10000) {
+    return 'price_delta must be between 0 and 10000'
+  }
+  if (typeof is_available !== 'boolean') {
+    return 'is_available must be true or false'
+  }
+  return null
+}
+
+// Fill in an option group's defaults: required groups need one choice, optional ones none
+function readOptionGroup(body) {
+  const is_required = body.is_required ?? false
+  const min_selections = body.min_selections ?? (is_required ? 1 : 0)
+  return {
+    name: body.name,
+    is_required,
+    min_selections,
+    max_selections: body.max_selections ?? Math.max(min_selections, 1),
+    display_order: body.display_order ?? 0
+  }
+}
+
+// Fill in a menu option's defaults
+function readMenuOption(body) {
+  return {
+    name: body.name,
+    price_delta: body.price_delta === undefined ? 0 : Number(body.price_delta),
+    is_available: body.is_available ?? true,
+    display_order: body.display_order ?? 0
+  }
+}
+
+// Get an option group if its menu item belongs to the restaurant
+async function findRestaurantOptionGroup(pool, restaurant_id, group_id) {
+  const result = await pool.query(
+    `SELECT g.* FROM menu_option_group g
+     JOIN menu_item mi ON mi.id = g.menu_item_id
+     JOIN menu_category mc ON mc.id = mi.category_id
+     WHERE g.id = $1 AND mc.restaurant_id = $2`,
+    [group_id, restaurant_id]
+  )
+  return result.rows[0] || null
+}
+
+// Get a menu item's option groups with their options
+app.get('/api/staff/menu/items/:id/option-groups', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    const itemCheck = await pool.query(
+      `SELECT id FROM menu_item
+       WHERE id = $1 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $2)`,
+      [id, restaurant_id]
+    )
+
+    if (itemCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' })
+    }
+
+    const optionGroups = await getMenuOptionGroups(pool, [itemCheck.rows[0].id])
+    res.json(optionGroups.get(itemCheck.rows[0].id) || [])
+  } catch (error) {
+    console.error('Get option groups error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add an option group to a menu item, optionally with its options
+app.post('/api/staff/menu/items/:id/option-groups', authenticateStaffToken, async (req, res) => {
+  const client = await pool.connect()
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+    const group = readOptionGroup(req.body)
+
+    if (!Array.isArray(req.body.options ?? [])) {
+      return res.status(400).json({ error: 'options must be an array' })
+    }
+
+    const options = (req.body.options || []).map(readMenuOption)
+    const validationError = validateOptionGroup(group) || options.map(validateMenuOption).find(Boolean)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const itemCheck = await client.query(
+      `SELECT id FROM menu_item
+       WHERE id = $1 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $2)`,
+      [id, restaurant_id]
+    )
+
+    if (itemCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' })
+    }
+
+    await client.query('BEGIN')
+    const result = await client.query(
+      `INSERT INTO menu_option_group (menu_item_id, name, is_required, min_selections, max_selections, display_order)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [id, group.name.trim(), group.is_required, group.min_selections, group.max_selections, group.display_order]
+    )
+
+    const created = []
+    for (const option of options) {
+      const optionResult = await client.query(
+        `INSERT INTO menu_option (group_id, name, price_delta, is_available, display_order)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [result.rows[0].id, option.name.trim(), option.price_delta, option.is_available, option.display_order]
+      )
+      created.push(optionResult.rows[0])
+    }
+    await client.query('COMMIT')
+
+    res.status(201).json({
+      message: 'Option group created successfully',
+      option_group: { ...result.rows[0], options: created }
+    })
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Add option group error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  } finally {
+    client.release()
+  }
+})
+
+// Update an option group. Fields left out keep their current value.
+app.put('/api/staff/menu/option-groups/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    const current = await findRestaurantOptionGroup(pool, restaurant_id, id)
+    if (!current) {
+      return res.status(404).json({ error: 'Option group not found' })
+    }
+
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const group = {
+      name: pick('name'),
+      is_required: pick('is_required'),
+      min_selections: pick('min_selections'),
+      max_selections: pick('max_selections'),
+      display_order: pick('display_order')
+    }
+
+    const validationError = validateOptionGroup(group)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const result = await pool.query(
+      `UPDATE menu_option_group
+       SET name = $1, is_required = $2, min_selections = $3, max_selections = $4, display_order = $5
+       WHERE id = $6
+       RETURNING *`,
+      [group.name.trim(), group.is_required, group.min_selections, group.max_selections, group.display_order, id]
+    )
+
+    res.json({
+      message: 'Option group updated successfully',
+      option_group: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update option group error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Delete an option group and its options
+app.delete('/api/staff/menu/option-groups/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    const current = await findRestaurantOptionGroup(pool, restaurant_id, id)
+    if (!current) {
+      return res.status(404).json({ error: 'Option group not found' })
+    }
+
+    await pool.query('DELETE FROM menu_option_group WHERE id = $1', [id])
+
+    res.json({ message: 'Option group deleted successfully' })
+  } catch (error) {
+    console.error('Delete option group error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add an option to a group
+app.post('/api/staff/menu/option-groups/:id/options', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+    const option = readMenuOption(req.body)
+
+    const validationError = validateMenuOption(option)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const group = await findRestaurantOptionGroup(pool, restaurant_id, id)
+    if (!group) {
+      return res.status(404).json({ error: 'Option group not found' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO menu_option (group_id, name, price_delta, is_available, display_order)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [group.id, option.name.trim(), option.price_delta, option.is_available, option.display_order]
+    )
+
+    res.status(201).json({
+      message: 'Option created successfully',
+      option: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Add menu option error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update an option. Fields left out keep their current value; set is_available
+// to false when an option runs out.
+app.put('/api/staff/menu/options/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    const existing = await pool.query(
+      `SELECT o.* FROM menu_option o
+       JOIN menu_option_group g ON g.id = o.group_id
+       JOIN menu_item mi ON mi.id = g.menu_item_id
+       JOIN menu_category mc ON mc.id = mi.category_id
+       WHERE o.id = $1 AND mc.restaurant_id = $2`,
+      [id, restaurant_id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Option not found' })
+    }
+
+    const current = existing.rows[0]
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const option = {
+      name: pick('name'),
+      price_delta: Number(pick('price_delta')),
+      is_available: pick('is_available'),
+      display_order: pick('display_order')
+    }
+
+    const validationError = validateMenuOption(option)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const result = await pool.query(
+      `UPDATE menu_option
+       SET name = $1, price_delta = $2, is_available = $3, display_order = $4
+       WHERE id = $5
+       RETURNING *`,
+      [option.name.trim(), option.price_delta, option.is_available, option.display_order, id]
+    )
+
+    res.json({
+      message: 'Option updated successfully',
+      option: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update menu option error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Delete an option
+app.delete('/api/staff/menu/options/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    const result = await pool.query(
+      `DELETE FROM menu_option
+       WHERE id = $1 AND group_id IN (
+         SELECT g.id FROM menu_option_group g
+         JOIN menu_item mi ON mi.id = g.menu_item_id
+         JOIN menu_category mc ON mc.id = mi.category_id
+         WHERE mc.restaurant_id = $2
+       )
+       RETURNING *`,
+      [id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Option not found' })
+    }
+
+    res.json({ message: 'Option deleted successfully' })
+  } catch (error) {
+    console.error('Delete menu option error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// ============================================
+// STAFF TABLE MANAGEMENT ROUTES
+// ============================================
+
+// Get all tables for staff's restaurant
+app.get('/api/staff/tables', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      `SELECT * FROM "table" 
+       WHERE restaurant_id = $1 
+       ORDER BY table_number`,
+      [restaurant_id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get tables error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// A reservation starting within this many minutes shows its table as reserved
+const BOARD_UPCOMING_MINUTES = 60
+
+// Work out a table's state on the live board at minute `at` of the board's date:
+// blocked (out of service or under a table block), seated, needs-clearing (seated
+// past its turn time), reserved-upcoming (a booking is due or about to start) or free
+function getBoardTableState(table, reservations, blocks, at) {
+  const seated = reservations.find(r => r.status === 'seated')
+  const next = reservations.find(r => r.status !== 'seated' && r.start + r.duration > at)
+  const block = blocks.find(b => b.start <= at && at < b.end)
+
+  let state = 'free'
+  if (!table.is_available || block) {
+    state = 'blocked'
+  } else if (seated) {
+    state = at >= seated.start + seated.duration ? 'needs-clearing' : 'seated'
+  } else if (next && next.start - at <= BOARD_UPCOMING_MINUTES) {
+    state = 'reserved-upcoming'
+  }
+
+  return { state, seated, next, block }
+}
+
+// Get the live table board: every table with its state and current/next booking.
+// Defaults to now; pass date and time to see the board at another moment.
+app.get('/api/staff/tables/board', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const now = getLocalNow()
+    const date = req.query.date || now.date
+    const time = req.query.time || minutesToTime(now.minutes)
+
+    if (!isValidDateString(date) || !isValidTimeString(time)) {
+      return res.status(400).json({ error: 'Invalid date or time' })
+    }
+
+    const context = await loadAvailabilityContext(pool, { restaurant_id, date })
+    if (!context) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    const [tablesResult, reservationsResult] = await Promise.all([
+      pool.query(
+        `SELECT id, table_number, capacity, location, location_x, location_y, is_available
+         FROM "table"
+         WHERE restaurant_id = $1
+         ORDER BY table_number`,
+        [restaurant_id]
+      ),
+      pool.query(
+        `SELECT r.id, r.reservation_time, r.party_size, r.status, r.confirmation_code, r.arrived_at, r.seated_at,
+                r.special_requests,
+                (EXTRACT(EPOCH FROM NOW() - r.seated_at) / 60)::float as minutes_seated,
+                COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name,
+                COALESCE(
+                  (SELECT array_agg(rt.table_id) FROM reservation_table rt WHERE rt.reservation_id = r.id),
+                  CASE WHEN r.table_id IS NULL THEN ARRAY[]::integer[] ELSE ARRAY[r.table_id] END
+                ) as table_ids
+         FROM reservation r
+         LEFT JOIN customer c ON c.id = r.customer_id
+         WHERE r.restaurant_id = $1
+           AND r.reservation_date = $2
+           AND r.status NOT IN ('cancelled', 'no-show', 'completed')
+         ORDER BY r.reservation_time`,
+        [restaurant_id, date]
+      )
+    ])
+
+    const at = timeToMinutes(time)
+    // Seated time is counted on the database clock, moved by however far the
+    // board's moment is from now in the restaurant's local time
+    const minutesFromNow = (Date.parse(`${date}T00:00:00Z`) - Date.parse(`${now.date}T00:00:00Z`)) / 60000 + at - now.minutes
+    const reservations = reservationsResult.rows.map(reservation => ({
+      ...reservation,
+      start: timeToMinutes(reservation.reservation_time),
+      duration: getTurnTimeMinutes(context, reservation.party_size)
+    }))
+
+    const summarise = (reservation) => reservation && {
+      id: reservation.id,
+      confirmation_code: reservation.confirmation_code,
+      customer_name: reservation.customer_name,
+      party_size: reservation.party_size,
+      reservation_time: minutesToTime(reservation.start),
+      expected_end_time: minutesToTime(reservation.start + reservation.duration),
+      status: reservation.status,
+      arrived_at: reservation.arrived_at,
+      seated_at: reservation.seated_at,
+      special_requests: reservation.special_requests
+    }
+
+    const tables = tablesResult.rows.map(table => {
+      const tableReservations = reservations.filter(r => r.table_ids.includes(table.id))
+      const tableBlocks = context.blocks.filter(b => b.table_id === table.id)
+      const { state, seated, next, block } = getBoardTableState(table, tableReservations, tableBlocks, at)
+
+      return {
+        ...table,
+        state,
+        block: block ? { reason: block.reason, until_time: minutesToTime(block.end) } : null,
+        current_reservation: seated ? {
+          ...summarise(seated),
+          elapsed_minutes: seated.seated_at ? Math.max(0, Math.round(seated.minutes_seated + minutesFromNow)) : null
+        } : null,
+        next_reservation: next ? { ...summarise(next), minutes_until: next.start - at } : null
+      }
+    })
+
+    const counts = {}
+    for (const table of tables) {
+      counts[table.state] = (counts[table.state] || 0) + 1
+    }
+
+    res.json({ date, time: minutesToTime(at), counts, tables })
+  } catch (error) {
+    console.error('Get table board error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add a new table
+app.post('/api/staff/tables', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { table_number, capacity, location, location_x, location_y, dining_area_id } = req.body
+
+    if (!table_number || !table_number.trim()) {
+      return res.status(400).json({ error: 'Table number is required' })
+    }
+
+    if (!capacity || capacity < 1 || capacity > 8) {
+      return res.status(400).json({ error: 'Capacity must be between 1 and 8' })
+    }
+
+    const areaError = await checkDiningAreaId(pool, restaurant_id, dining_area_id)
+    if (areaError) {
+      return res.status(400).json({ error: areaError })
+    }
+
+    // Check if table number already exists for this restaurant
+    const existingTable = await pool.query(
+      'SELECT id FROM "table" WHERE restaurant_id = $1 AND table_number = $2',
+      [restaurant_id, table_number.trim()]
+    )
+
+    if (existingTable.rows.length > 0) {
+      return res.status(400).json({ error: 'Table number already exists' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO "table" (restaurant_id, table_number, capacity, location, location_x, location_y, dining_area_id, is_available)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, true)
+       RETURNING *`,
+      [restaurant_id, table_number.trim(), capacity, location || null, location_x ?? null, location_y ?? null, dining_area_id ?? null]
+    )
+
+    res.status(201).json({
+      message: 'Table added successfully',
+      table: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Add table error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update a table
+app.put('/api/staff/tables/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+    const { table_number, capacity, location, location_x, location_y, is_available, dining_area_id } = req.body
+
+    if (!table_number || !table_number.trim()) {
+      return res.status(400).json({ error: 'Table number is required' })
+    }
+
+    if (!capacity || capacity < 1 || capacity > 8) {
+      return res.status(400).json({ error: 'Capacity must be between 1 and 8' })
     }
-    .method {
-      display: inline-block;
-      padding: 3px 10px;
-      border-radius: 4px;
-      font-size: 0.75rem;
-      font-weight: 600;
-      margin-right: 10px;
+
+    const areaError = await checkDiningAreaId(pool, restaurant_id, dining_area_id)
+    if (areaError) {
+      return res.status(400).json({ error: areaError })
     }
-    .method.GET { background: #d4edda; color: #155724; }
-    .method.POST { background: #cce5ff; color: #004085; }
-    .method.PUT { background: #fff3cd; color: #856404; }
-    .method.DELETE { background: #f8d7da; color: #721c24; }
-    .path { font-family: 'Monaco', 'Consolas', monospace; color: #495057; }
-    .tag {
-      display: inline-block;
-      padding: 2px 8px;
-      background: #e9ecef;
-      border-radius: 4px;
-      font-size: 0.8rem;
-      color: #6c757d;
-      margin-right: 8px;
+
+    // Check if table exists and belongs to this restaurant
+    const tableCheck = await pool.query(
+      'SELECT id FROM "table" WHERE id = $1 AND restaurant_id = $2',
+      [id, restaurant_id]
+    )
+
+    if (tableCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Table not found' })
     }
-    footer {
-      text-align: center;
-      margin-top: 40px;
-      color: #6c757d;
-      font-size: 0.9rem;
+
+    // Check if table number already exists for another table
+    const existingTable = await pool.query(
+      'SELECT id FROM "table" WHERE restaurant_id = $1 AND table_number = $2 AND id != $3',
+      [restaurant_id, table_number.trim(), id]
+    )
+
+    if (existingTable.rows.length > 0) {
+      return res.status(400).json({ error: 'Table number already exists' })
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <header>
-      <h1>🍽️ TempahNow API</h1>
-      <p class="subtitle">Restaurant Reservation System API Documentation</p>
-      <span class="version">v1.0.0</span>
-    </header>
 
-    <div class="section">
-      <h2>🔐 Authentication</h2>
-      <a href="#auth" class="endpoint"><span class="method POST">POST</span><span class="path">/api/auth/register</span></a>
-      <a href="#auth" class="endpoint"><span class="method POST">POST</span><span class="path">/api/auth/login</span></a>
-      <a href="#auth" class="endpoint"><span class="method POST">POST</span><span class="path">/api/auth/sync-user</span></a>
-    </div>
+    const result = await pool.query(
+      `UPDATE "table"
+       SET table_number = $1, capacity = $2, location = $3, is_available = $4,
+           location_x = COALESCE($7, location_x), location_y = COALESCE($8, location_y),
+           dining_area_id = CASE WHEN $9::boolean THEN $10 ELSE dining_area_id END
+       WHERE id = $5 AND restaurant_id = $6
+       RETURNING *`,
+      [
+        table_number.trim(), capacity, location, is_available !== false, id, restaurant_id, location_x ?? null, location_y ?? null,
+        dining_area_id !== undefined, dining_area_id ?? null  // null moves the table out of its area
+      ]
+    )
 
-    <div class="section">
-      <h2>🏪 Restaurants</h2>
-      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants</span></a>
-      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id</span></a>
-      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/menu</span></a>
-      <a href="#restaurants" class="endpoint"><span class="method GET">GET</span><span class="path">/api/restaurants/:id/tables</span></a>
-    </div>
+    res.json({
+      message: 'Table updated successfully',
+      table: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update table error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
 
-    <div class="section">
-      <h2>📅 Reservations</h2>
-      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/reservations</span></a>
-      <a href="#reservations" class="endpoint"><span class="method POST">POST</span><span class="path">/api/reservations</span></a>
-      <a href="#reservations" class="endpoint"><span class="method GET">GET</span><span class="path">/api/reservations/:id</span></a>
-      <a href="#reservations" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/reservations/:id</span></a>
-      <a href="#reservations" class="endpoint"><span class="method DELETE">DELETE</span><span class="path">/api/reservations/:id</span></a>
-    </div>
+// Delete a table
+app.delete('/api/staff/tables/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
 
-    <div class="section">
-      <h2>📋 Menu</h2>
-      <a href="#menu" class="endpoint"><span class="method GET">GET</span><span class="path">/api/menu/categories/:restaurantId</span></a>
-      <a href="#menu" class="endpoint"><span class="method GET">GET</span><span class="path">/api/menu/items/:restaurantId</span></a>
-    </div>
+    const result = await pool.query(
+      'DELETE FROM "table" WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
+    )
 
-    <div class="section">
-      <h2>🛒 Orders</h2>
-      <a href="#orders" class="endpoint"><span class="method GET">GET</span><span class="path">/api/orders/:reservationId</span></a>
-      <a href="#orders" class="endpoint"><span class="method POST">POST</span><span class="path">/api/orders</span></a>
-      <a href="#orders" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/orders/:id</span></a>
-    </div>
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Table not found' })
+    }
 
-    <div class="section">
-      <h2>🪑 Tables</h2>
-      <a href="#tables" class="endpoint"><span class="method GET">GET</span><span class="path">/api/tables/availability</span></a>
-    </div>
+    res.json({ message: 'Table deleted successfully' })
+  } catch (error) {
+    console.error('Delete table error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
 
-    <div class="section">
-      <h2>🔔 Notifications</h2>
-      <a href="#notifications" class="endpoint"><span class="method GET">GET</span><span class="path">/api/notifications</span></a>
-    </div>
+// Validate the tables of a combination and work out its seating capacity.
+// Returns { error } or { table_ids, capacity }.
+async function validateTableCombination(pool, restaurant_id, { table_ids, capacity }) {
+  if (!Array.isArray(table_ids) || new Set(table_ids.map(Number)).size < 2) {
+    return { error: 'A combination needs at least two different tables' }
+  }
 
-    <div class="section">
-      <h2>👨‍💼 Admin</h2>
-      <a href="#admin" class="endpoint"><span class="method POST">POST</span><span class="path">/api/admin/login</span></a>
-      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/stats</span></a>
-      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/restaurants</span></a>
-      <a href="#admin" class="endpoint"><span class="method POST">POST</span><span class="path">/api/admin/restaurants</span></a>
-      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/reservations</span></a>
-      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/orders</span></a>
-      <a href="#admin" class="endpoint"><span class="method GET">GET</span><span class="path">/api/admin/staff</span></a>
-      <a href="#admin" class="endpoint"><span class="method POST">POST</span><span class="path">/api/admin/staff</span></a>
-    </div>
+  const ids = [...new Set(table_ids.map(Number))]
+  const tablesResult = await pool.query(
+    'SELECT id, capacity FROM "table" WHERE restaurant_id = $1 AND id = ANY($2)',
+    [restaurant_id, ids]
+  )
 
-    <div class="section">
-      <h2>👨‍🍳 Staff</h2>
-      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/login</span></a>
-      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/dashboard</span></a>
-      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/reservations</span></a>
-      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/reservations/:id</span></a>
-      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/orders</span></a>
-      <a href="#staff" class="endpoint"><span class="method PUT">PUT</span><span class="path">/api/staff/orders/:id</span></a>
-      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/tables</span></a>
-      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/tables</span></a>
-      <a href="#staff" class="endpoint"><span class="method GET">GET</span><span class="path">/api/staff/menu/categories</span></a>
-      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/menu/categories</span></a>
-      <a href="#staff" class="endpoint"><span class="method POST">POST</span><span class="path">/api/staff/menu/items</span></a>
-    </div>
-    <footer>
-      <p>TempahNow Restaurant Reservation System API v1.0.0</p>
-      <p>Built with Express.js & PostgreSQL</p>
-    </footer>
-  </div>
-</body>
-</html>
-`
-  res.type('html').send(htmlDoc)
+  if (tablesResult.rows.length !== ids.length) {
+    return { error: 'All tables must belong to your restaurant' }
+  }
+
+  // Joined tables often lose a seat or two, so capacity can be set lower than the total
+  const totalCapacity = tablesResult.rows.reduce((sum, table) => sum + table.capacity, 0)
+  const combinedCapacity = capacity == null ? totalCapacity : Number(capacity)
+
+  if (!Number.isInteger(combinedCapacity) || combinedCapacity < 1 || combinedCapacity > totalCapacity) {
+    return { error: `Capacity must be between 1 and ${totalCapacity} for these tables` }
+  }
+
+  return { table_ids: ids, capacity: combinedCapacity }
+}
+
+// Get table combinations for staff's restaurant
+app.get('/api/staff/table-combinations', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+
+    const result = await pool.query(
+      `SELECT tc.*,
+              (SELECT json_agg(t.table_number ORDER BY t.table_number)
+               FROM "table" t WHERE t.id = ANY(tc.table_ids)) as table_numbers
+       FROM table_combination tc
+       WHERE tc.restaurant_id = $1
+       ORDER BY tc.capacity, tc.name`,
+      [restaurant_id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get table combinations error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add a table combination
+app.post('/api/staff/table-combinations', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { name, table_ids, capacity } = req.body
+
+    const combination = await validateTableCombination(pool, restaurant_id, { table_ids, capacity })
+    if (combination.error) {
+      return res.status(400).json({ error: combination.error })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO table_combination (restaurant_id, name, table_ids, capacity)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [restaurant_id, name ? name.trim() : null, combination.table_ids, combination.capacity]
+    )
+
+    res.status(201).json({
+      message: 'Table combination added successfully',
+      combination: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Add table combination error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Update a table combination
+app.put('/api/staff/table-combinations/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+    const { name, table_ids, capacity } = req.body
+
+    const existing = await pool.query(
+      'SELECT * FROM table_combination WHERE id = $1 AND restaurant_id = $2',
+      [id, restaurant_id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Table combination not found' })
+    }
+
+    const combination = await validateTableCombination(pool, restaurant_id, {
+      table_ids: table_ids || existing.rows[0].table_ids,
+      capacity: capacity === undefined && !table_ids ? existing.rows[0].capacity : capacity
+    })
+    if (combination.error) {
+      return res.status(400).json({ error: combination.error })
+    }
+
+    const result = await pool.query(
+      `UPDATE table_combination
+       SET name = COALESCE($1, name), table_ids = $2, capacity = $3
+       WHERE id = $4 AND restaurant_id = $5
+       RETURNING *`,
+      [name ? name.trim() : null, combination.table_ids, combination.capacity, id, restaurant_id]
+    )
+
+    res.json({
+      message: 'Table combination updated successfully',
+      combination: result.rows[0]
+    })
+  } catch (error) {
+    console.error('Update table combination error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Delete a table combination
+app.delete('/api/staff/table-combinations/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
+    const result = await pool.query(
+      'DELETE FROM table_combination WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Table combination not found' })
+    }
+
+    res.json({ message: 'Table combination deleted successfully' })
+  } catch (error) {
+    console.error('Delete table combination error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
 })
 
-// ============================================
-// PAYMENT ROUTES
-// ============================================
+// Longest a single table block may run
+const MAX_TABLE_BLOCK_DAYS = 31
 
-// Create payment record
-app.post('/api/payments', authenticateToken, async (req, res) => {
+// Parse a block boundary given as 'YYYY-MM-DD HH:MM' (or with a T separator).
+// Returns { text, value } with the normalised string and a local Date, or null.
+function parseBlockTime(value) {
+  if (typeof value !== 'string') return null
+
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})$/.exec(value.trim())
+  if (!match || !isValidDateString(match[1]) || !isValidTimeString(match[2])) return null
+
+  return { text: `${match[1]} ${match[2]}`, value: new Date(`${match[1]}T${match[2]}:00`) }
+}
+
+// Find the active reservations holding any of the tables at some point between
+// starts and ends (local Dates), using the same turn times as the availability engine
+async function findTableBlockConflicts(pool, restaurant_id, { table_ids, starts, ends }) {
+  const conflicts = []
+  const day = new Date(starts.getFullYear(), starts.getMonth(), starts.getDate())
+
+  for (; day < ends; day.setDate(day.getDate() + 1)) {
+    const date = formatDate(day)
+    const context = await loadAvailabilityContext(pool, { restaurant_id, date })
+    if (!context) break
+
+    const blockStart = (starts - day) / 60000
+    const blockEnd = (ends - day) / 60000
+    for (const reservation of context.reservations) {
+      if (reservation.is_hold || !reservation.table_ids.some(tableId => table_ids.includes(tableId))) continue
+      if (reservation.start < blockEnd && blockStart < reservation.start + reservation.duration) {
+        conflicts.push(reservation.id)
+      }
+    }
+  }
+
+  if (conflicts.length === 0) {
+    return []
+  }
+
+  const result = await pool.query(
+    `SELECT r.id, r.confirmation_code, r.reservation_date, r.reservation_time, r.party_size, r.status,
+            COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name,
+            COALESCE(r.guest_phone, c.phone) as customer_phone
+     FROM reservation r
+     LEFT JOIN customer c ON c.id = r.customer_id
+     WHERE r.id = ANY($1)
+     ORDER BY r.reservation_date, r.reservation_time`,
+    [conflicts]
+  )
+
+  return result.rows
+}
+
+// Get table blocks, by default those not yet over. Pass date to see the blocks on that day.
+app.get('/api/staff/table-blocks', authenticateStaffToken, async (req, res) => {
   try {
-    const { order_id, amount, payment_method, payment_status, transaction_id, notes } = req.body
-    const customer_id = req.user.id
+    const { restaurant_id } = req.staff
+    const { date } = req.query
+
+    if (date && !isValidDateString(date)) {
+      return res.status(400).json({ error: 'Invalid date' })
+    }
 
     const result = await pool.query(
-      `INSERT INTO payment (customer_id, order_id, amount, payment_method, payment_status, transaction_id, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `SELECT tb.*, t.table_number
+       FROM table_block tb
+       JOIN "table" t ON t.id = tb.table_id
+       WHERE tb.restaurant_id = $1
+         AND ($2::date IS NULL OR (tb.starts_at < ($2::date + 1)::timestamp AND tb.ends_at > $2::date::timestamp))
+         AND ($2::date IS NOT NULL OR tb.ends_at > NOW())
+       ORDER BY tb.starts_at, t.table_number`,
+      [restaurant_id, date || null]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get table blocks error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Block a table for a period (maintenance, private event). Existing bookings are
+// kept, but the response lists the ones that conflict so staff can move them.
+app.post('/api/staff/table-blocks', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id, id: staff_id } = req.staff
+    const { table_id, reason } = req.body
+    const starts = parseBlockTime(req.body.starts_at)
+    const ends = parseBlockTime(req.body.ends_at)
+
+    if (!starts || !ends) {
+      return res.status(400).json({ error: 'starts_at and ends_at must be valid date-times (YYYY-MM-DD HH:MM)' })
+    }
+
+    if (ends.value <= starts.value) {
+      return res.status(400).json({ error: 'ends_at must be after starts_at' })
+    }
+
+    if (ends.value - starts.value > MAX_TABLE_BLOCK_DAYS * 24 * 60 * 60000) {
+      return res.status(400).json({ error: `A table block cannot be longer than ${MAX_TABLE_BLOCK_DAYS} days` })
+    }
+
+    const table = await pool.query(
+      'SELECT id, table_number FROM "table" WHERE id = $1 AND restaurant_id = $2',
+      [table_id, restaurant_id]
+    )
+
+    if (table.rows.length === 0) {
+      return res.status(404).json({ error: 'Table not found' })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO table_block (restaurant_id, table_id, starts_at, ends_at, reason, created_by_staff_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
        RETURNING *`,
-      [customer_id, order_id, amount, payment_method || 'online', payment_status || 'pending', transaction_id, notes]
+      [restaurant_id, table_id, starts.text, ends.text, reason ? reason.trim() : null, staff_id]
     )
 
+    const conflicts = await findTableBlockConflicts(pool, restaurant_id, {
+      table_ids: [table.rows[0].id],
+      starts: starts.value,
+      ends: ends.value
+    })
+
     res.status(201).json({
-      message: 'Payment recorded successfully',
-      payment: result.rows[0]
+      message: 'Table blocked successfully',
+      table_block: { ...result.rows[0], table_number: table.rows[0].table_number },
+      conflicts,
+      warning: conflicts.length > 0
+        ? `${conflicts.length} existing reservation(s) use this table during the block and need to be moved`
+        : null
     })
   } catch (error) {
-    console.error('Create payment error:', error)
+    console.error('Add table block error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get customer payments
-app.get('/api/payments', authenticateToken, async (req, res) => {
+// Remove a table block
+app.delete('/api/staff/table-blocks/:id', authenticateStaffToken, async (req, res) => {
   try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
+
     const result = await pool.query(
-      `SELECT p.*, o.restaurant_id, r.name as restaurant_name
-       FROM payment p
-       LEFT JOIN orders o ON o.id = p.order_id
-       LEFT JOIN restaurant r ON r.id = o.restaurant_id
-       WHERE p.customer_id = $1
-       ORDER BY p.created_at DESC`,
-      [req.user.id]
+      'DELETE FROM table_block WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
     )
-    res.json(result.rows)
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Table block not found' })
+    }
+
+    res.json({ message: 'Table block removed successfully' })
   } catch (error) {
-    console.error('Get payments error:', error)
+    console.error('Delete table block error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// ============================================
-// STAFF ROUTES
-// ============================================
+// Validate a dining area's settings, returning an error message or null
+function validateDiningArea({ name, is_smoking, is_outdoor, is_wheelchair_accessible, sort_order }) {
+  if (!name || !String(name).trim()) {
+    return 'Area name is required'
+  }
+  if ([is_smoking, is_outdoor, is_wheelchair_accessible].some(flag => typeof flag !== 'boolean')) {
+    return 'is_smoking, is_outdoor and is_wheelchair_accessible must be true or false'
+  }
+  if (!Number.isInteger(sort_order)) {
+    return 'Sort order must be a whole number'
+  }
+  return null
+}
 
-// Staff login
-app.post('/api/staff/login', async (req, res) => {
+// Check that a dining area belongs to the restaurant. Returns an error message or null.
+async function checkDiningAreaId(pool, restaurant_id, dining_area_id) {
+  if (dining_area_id === null || dining_area_id === undefined) {
+    return null
+  }
+
+  const result = await pool.query(
+    'SELECT id FROM dining_area WHERE id = $1 AND restaurant_id = $2',
+    [dining_area_id, restaurant_id]
+  )
+
+  return result.rows.length === 0 ? 'Dining area not found' : null
+}
+
+// Get the restaurant's dining areas with how many tables and seats each has
+app.get('/api/staff/dining-areas', authenticateStaffToken, async (req, res) => {
   try {
-    const { email, password } = req.body
+    const { restaurant_id } = req.staff
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' })
+    const result = await pool.query(
+      `SELECT da.*,
+              COUNT(t.id)::int as table_count,
+              COALESCE(SUM(t.capacity), 0)::int as total_capacity
+       FROM dining_area da
+       LEFT JOIN "table" t ON t.dining_area_id = da.id
+       WHERE da.restaurant_id = $1
+       GROUP BY da.id
+       ORDER BY da.sort_order, da.name`,
+      [restaurant_id]
+    )
+
+    res.json(result.rows)
+  } catch (error) {
+    console.error('Get dining areas error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add a dining area
+app.post('/api/staff/dining-areas', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const area = {
+      name: req.body.name,
+      description: req.body.description || null,
+      is_smoking: req.body.is_smoking ?? false,
+      is_outdoor: req.body.is_outdoor ?? false,
+      is_wheelchair_accessible: req.body.is_wheelchair_accessible ?? false,
+      sort_order: req.body.sort_order ?? 0
+    }
+
+    const validationError = validateDiningArea(area)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
-    // Find staff member
     const result = await pool.query(
-      'SELECT * FROM staff WHERE email = $1',
-      [email]
+      `INSERT INTO dining_area (restaurant_id, name, description, is_smoking, is_outdoor, is_wheelchair_accessible, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [restaurant_id, area.name.trim(), area.description, area.is_smoking, area.is_outdoor, area.is_wheelchair_accessible, area.sort_order]
     )
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' })
+    res.status(201).json({
+      message: 'Dining area added successfully',
+      dining_area: result.rows[0]
+    })
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A dining area with this name already exists' })
     }
+    console.error('Add dining area error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
 
-    const staff = result.rows[0]
+// Update a dining area. Fields left out keep their current value; set
+// is_active to false to stop offering the area to customers.
+app.put('/api/staff/dining-areas/:id', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { id } = req.params
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, staff.password)
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' })
+    const existing = await pool.query(
+      'SELECT * FROM dining_area WHERE id = $1 AND restaurant_id = $2',
+      [id, restaurant_id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Dining area not found' })
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: staff.id, email: staff.email, type: 'staff', restaurant_id: staff.restaurant_id, role: staff.role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+    const current = existing.rows[0]
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const area = {
+      name: pick('name'),
+      description: pick('description'),
+      is_smoking: pick('is_smoking'),
+      is_outdoor: pick('is_outdoor'),
+      is_wheelchair_accessible: pick('is_wheelchair_accessible'),
+      sort_order: pick('sort_order'),
+      is_active: pick('is_active')
+    }
+
+    const validationError = validateDiningArea(area) ||
+      (typeof area.is_active !== 'boolean' ? 'is_active must be true or false' : null)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const result = await pool.query(
+      `UPDATE dining_area
+       SET name = $1, description = $2, is_smoking = $3, is_outdoor = $4,
+           is_wheelchair_accessible = $5, sort_order = $6, is_active = $7
+       WHERE id = $8 AND restaurant_id = $9
+       RETURNING *`,
+      [
+        area.name.trim(), area.description, area.is_smoking, area.is_outdoor,
+        area.is_wheelchair_accessible, area.sort_order, area.is_active, id, restaurant_id
+      ]
     )
 
     res.json({
-      message: 'Login successful',
-      token,
-      staff: {
-        id: staff.id,
-        email: staff.email,
-        first_name: staff.first_name,
-        last_name: staff.last_name,
-        name: staff.name,
-        role: staff.role,
-        restaurant_id: staff.restaurant_id
-      }
+      message: 'Dining area updated successfully',
+      dining_area: result.rows[0]
     })
   } catch (error) {
-    console.error('Staff login error:', error)
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A dining area with this name already exists' })
+    }
+    console.error('Update dining area error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get staff orders
-app.get('/api/staff/orders', authenticateStaffToken, async (req, res) => {
+// Delete a dining area. Its tables stay, without an area.
+app.delete('/api/staff/dining-areas/:id', authenticateStaffToken, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
+    const { id } = req.params
+
     const result = await pool.query(
-      `SELECT o.*, r.name as restaurant_name, c.first_name || ' ' || c.last_name as customer_name
-       FROM orders o
-       LEFT JOIN restaurant r ON r.id = o.restaurant_id
-       LEFT JOIN customer c ON c.id = o.customer_id
-       WHERE o.restaurant_id = $1
-       ORDER BY o.order_date DESC`,
-      [restaurant_id]
+      'DELETE FROM dining_area WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
     )
-    res.json(result.rows)
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dining area not found' })
+    }
+
+    res.json({ message: 'Dining area deleted successfully' })
   } catch (error) {
-    console.error('Get staff orders error:', error)
+    console.error('Delete dining area error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get staff reservations
-app.get('/api/staff/reservations', authenticateStaffToken, async (req, res) => {
-  try {
-    const { restaurant_id } = req.staff
+// ============================================
+// STAFF SETTINGS ROUTES
+// ============================================
 
-    // Get reservations
-    const result = await pool.query(
-      `SELECT r.*, rest.name as restaurant_name,
-              c.first_name || ' ' || c.last_name as customer_name,
-              c.email as customer_email,
-              c.phone as customer_phone,
-              -- Get payment info from the first order (if exists)
-              (SELECT o.payment_status FROM orders o WHERE o.reservation_id = r.id ORDER BY o.id LIMIT 1) as payment_status,
-              (SELECT o.payment_method FROM orders o WHERE o.reservation_id = r.id ORDER BY o.id LIMIT 1) as payment_method
-       FROM reservation r
-       LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
-       LEFT JOIN customer c ON c.id = r.customer_id
-       WHERE r.restaurant_id = $1
-       ORDER BY r.reservation_date DESC, r.reservation_time DESC`,
+// Validate a list of service periods ({ service_name, open_time, close_time } plus
+// day_of_week when withDay is set), returning an error message or null
+function validateServicePeriods(periods, { withDay }) {
+  if (!Array.isArray(periods)) {
+    return 'Periods must be an array'
+  }
+
+  for (const period of periods) {
+    if (withDay && (!Number.isInteger(period.day_of_week) || period.day_of_week < 0 || period.day_of_week > 6)) {
+      return 'Day of week must be between 0 (Sunday) and 6 (Saturday)'
+    }
+    if (!isValidTimeString(period.open_time) || !isValidTimeString(period.close_time)) {
+      return 'Each period needs a valid open_time and close_time (HH:MM)'
+    }
+    if (timeToMinutes(period.close_time) <= timeToMinutes(period.open_time)) {
+      return 'Closing time must be after opening time (service past midnight is not supported)'
+    }
+    if (period.service_name && String(period.service_name).length > 50) {
+      return 'Service name must be 50 characters or fewer'
+    }
+  }
+
+  // Periods on the same day must not overlap
+  const sorted = [...periods].sort((a, b) =>
+    (a.day_of_week || 0) - (b.day_of_week || 0) || timeToMinutes(a.open_time) - timeToMinutes(b.open_time)
+  )
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1]
+    const current = sorted[i]
+    if ((previous.day_of_week || 0) === (current.day_of_week || 0) && timeToMinutes(current.open_time) < timeToMinutes(previous.close_time)) {
+      return 'Service periods on the same day must not overlap'
+    }
+  }
+
+  return null
+}
+
+// Get a restaurant's weekly schedule and its upcoming dated exceptions
+async function getOpeningHours(pool, restaurant_id) {
+  const [weeklyResult, exceptionsResult] = await Promise.all([
+    pool.query(
+      `SELECT id, day_of_week, service_name, open_time, close_time
+       FROM opening_hours
+       WHERE restaurant_id = $1
+       ORDER BY day_of_week, open_time`,
       [restaurant_id]
+    ),
+    pool.query(
+      `SELECT id, TO_CHAR(exception_date, 'YYYY-MM-DD') as exception_date, is_closed, service_name, open_time, close_time, note
+       FROM opening_hours_exception
+       WHERE restaurant_id = $1 AND exception_date >= $2
+       ORDER BY exception_date, open_time`,
+      [restaurant_id, getLocalNow().date]
     )
+  ])
 
-    const reservations = result.rows
-
-    // Get all orders for these reservations
-    const reservationIds = reservations.map(r => r.id)
-    let ordersWithItems = {}
+  return {
+    opening_hours: weeklyResult.rows,
+    opening_hours_exceptions: exceptionsResult.rows
+  }
+}
 
-    if (reservationIds.length > 0) {
-      const ordersResult = await pool.query(
-        `SELECT o.*,
-                json_agg(
-                  json_build_object(
-                    'item_name', mi.item_name,
-                    'quantity', oi.quantity,
-                    'unit_price', oi.unit_price,
-                    'subtotal', oi.subtotal,
-                    'special_instructions', oi.special_instructions
-                  )
-                ) FILTER (WHERE oi.id IS NOT NULL) as items
-         FROM orders o
-         LEFT JOIN order_item oi ON oi.order_id = o.id
-         LEFT JOIN menu_item mi ON mi.id = oi.item_id
-         WHERE o.reservation_id = ANY($1)
-         GROUP BY o.id`,
-        [reservationIds]
+// Replace a restaurant's whole weekly schedule
+async function replaceWeeklySchedule(pool, restaurant_id, periods) {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    await client.query('DELETE FROM opening_hours WHERE restaurant_id = $1', [restaurant_id])
+    for (const period of periods) {
+      await client.query(
+        `INSERT INTO opening_hours (restaurant_id, day_of_week, service_name, open_time, close_time)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [restaurant_id, period.day_of_week, period.service_name || null, period.open_time, period.close_time]
       )
-
-      // Group orders by reservation_id
-      ordersResult.rows.forEach(order => {
-        const resId = order.reservation_id
-        if (!ordersWithItems[resId]) {
-          ordersWithItems[resId] = []
-        }
-        ordersWithItems[resId].push(order)
-      })
     }
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+// Validate a dated exception ({ exception_date, is_closed, periods, note }), returning an error message or null
+function validateOpeningHoursException({ exception_date, is_closed, periods, note }) {
+  if (!isValidDateString(exception_date)) {
+    return 'A valid exception_date (YYYY-MM-DD) is required'
+  }
+  if (note && String(note).length > 200) {
+    return 'Note must be 200 characters or fewer'
+  }
+  if (is_closed) {
+    return null
+  }
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return 'Special hours need at least one period, or set is_closed to true'
+  }
+  return validateServicePeriods(periods, { withDay: false })
+}
+
+// Set the exception for one date, replacing whatever was there before
+async function replaceOpeningHoursException(pool, restaurant_id, { exception_date, is_closed, periods, note }) {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    await client.query(
+      'DELETE FROM opening_hours_exception WHERE restaurant_id = $1 AND exception_date = $2',
+      [restaurant_id, exception_date]
+    )
 
-    // Attach orders to each reservation
-    const reservationsWithOrders = reservations.map(res => ({
-      ...res,
-      orders: ordersWithItems[res.id] || []
-    }))
+    const rows = is_closed ? [{ service_name: null, open_time: null, close_time: null }] : periods
+    for (const period of rows) {
+      await client.query(
+        `INSERT INTO opening_hours_exception (restaurant_id, exception_date, is_closed, service_name, open_time, close_time, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [restaurant_id, exception_date, !!is_closed, period.service_name || null, period.open_time, period.close_time, note || null]
+      )
+    }
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
 
-    res.json(reservationsWithOrders)
+// Get opening hours for staff's restaurant
+app.get('/api/staff/settings/opening-hours', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    res.json(await getOpeningHours(pool, restaurant_id))
   } catch (error) {
-    console.error('Get staff reservations error:', error)
+    console.error('Get opening hours error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Update order status
-app.put('/api/staff/orders/:id/status', authenticateStaffToken, async (req, res) => {
+// Replace the weekly schedule (manager)
+app.put('/api/staff/settings/opening-hours', authenticateStaffToken, requireManager, async (req, res) => {
   try {
-    const { id } = req.params
-    const { status } = req.body
     const { restaurant_id } = req.staff
+    const { periods } = req.body
 
-    const result = await pool.query(
-      `UPDATE orders 
-       SET status = $1 
-       WHERE id = $2 AND restaurant_id = $3
-       RETURNING *`,
-      [status, id, restaurant_id]
-    )
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Order not found' })
+    const validationError = validateServicePeriods(periods, { withDay: true })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
+    await replaceWeeklySchedule(pool, restaurant_id, periods)
+
     res.json({
-      message: 'Order status updated',
-      order: result.rows[0]
+      message: 'Opening hours updated successfully',
+      ...(await getOpeningHours(pool, restaurant_id))
     })
   } catch (error) {
-    console.error('Update order status error:', error)
+    console.error('Update opening hours error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Update reservation status
-app.put('/api/staff/reservations/:id/status', authenticateStaffToken, async (req, res) => {
+// Set a closure or special hours for one date (manager)
+app.post('/api/staff/settings/opening-hours/exceptions', authenticateStaffToken, requireManager, async (req, res) => {
   try {
-    const { id } = req.params
-    const { status } = req.body
     const { restaurant_id } = req.staff
 
-    console.log(`📋 Staff updating reservation ${id} to status: ${status}`);
+    const validationError = validateOpeningHoursException(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
 
-    // Get reservation details first
-    const reservationResult = await pool.query(
-      'SELECT r.*, rest.name as restaurant_name FROM reservation r LEFT JOIN restaurant rest ON r.restaurant_id = rest.id WHERE r.id = $1 AND r.restaurant_id = $2',
-      [id, restaurant_id]
-    )
+    await replaceOpeningHoursException(pool, restaurant_id, req.body)
 
-    if (reservationResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Reservation not found' })
-    }
+    res.status(201).json({
+      message: 'Opening hours exception saved successfully',
+      ...(await getOpeningHours(pool, restaurant_id))
+    })
+  } catch (error) {
+    console.error('Save opening hours exception error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
 
-    const reservation = reservationResult.rows[0]
-    console.log(`📋 Reservation data:`, reservation);
+// Remove the exception for one date (manager)
+app.delete('/api/staff/settings/opening-hours/exceptions/:date', authenticateStaffToken, requireManager, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const { date } = req.params
 
-    if (!reservation.customer_id) {
-      console.error('❌ ERROR: Reservation has no customer_id!');
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'Invalid date' })
     }
 
     const result = await pool.query(
-      `UPDATE reservation 
-       SET status = $1 
-       WHERE id = $2 AND restaurant_id = $3
-       RETURNING *`,
-      [status, id, restaurant_id]
+      'DELETE FROM opening_hours_exception WHERE restaurant_id = $1 AND exception_date = $2 RETURNING *',
+      [restaurant_id, date]
     )
 
-    // Send notification to customer when reservation is confirmed
-    if (status === 'confirmed' && reservation.customer_id) {
-      try {
-        const notifResult = await pool.query(
-          `INSERT INTO notification (restaurant_id, customer_id, type, title, message, reservation_id, is_read)
-           VALUES (NULL, $1, $2, $3, $4, $5, FALSE)
-           RETURNING *`,
-          [
-            reservation.customer_id,
-            'reservation_confirmed',
-            'Reservation Confirmed',
-            `Your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${reservation.reservation_date} at ${reservation.reservation_time} has been confirmed!`,
-            id
-          ]
-        );
-        console.log(`✅ Notification created: ID ${notifResult.rows[0].id}`);
-      } catch (notifError) {
-        console.error(`❌ Failed to create notification:`, notifError.message);
-      }
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Opening hours exception not found' })
     }
 
-    res.json({
-      message: 'Reservation status updated',
-      reservation: result.rows[0]
-    })
+    res.json({ message: 'Opening hours exception deleted successfully' })
   } catch (error) {
-    console.error('Update reservation status error:', error)
+    console.error('Delete opening hours exception error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Approve cancellation request (staff)
-app.post('/api/staff/reservations/:id/approve-cancellation', authenticateStaffToken, async (req, res) => {
+// Validate a turn-time rule from the request body, returning an error message or null
+function validateTurnTime({ min_party_size, max_party_size, day_of_week, duration_minutes }) {
+  if (!Number.isInteger(min_party_size) || min_party_size < 1) {
+    return 'Minimum party size must be a positive whole number'
+  }
+  if (max_party_size !== null && (!Number.isInteger(max_party_size) || max_party_size < min_party_size)) {
+    return 'Maximum party size must be a whole number no smaller than the minimum'
+  }
+  if (day_of_week !== null && (!Number.isInteger(day_of_week) || day_of_week < 0 || day_of_week > 6)) {
+    return 'Day of week must be between 0 (Sunday) and 6 (Saturday)'
+  }
+  if (!Number.isInteger(duration_minutes) || duration_minutes < 15 || duration_minutes > 720) {
+    return 'Duration must be between 15 and 720 minutes'
+  }
+  return null
+}
+
+// Find a turn-time rule whose party-size range overlaps the given one on the same day
+async function findOverlappingTurnTime(pool, restaurant_id, { min_party_size, max_party_size, day_of_week }, excludeId = null) {
+  const result = await pool.query(
+    `SELECT id FROM turn_time
+     WHERE restaurant_id = $1
+       AND day_of_week IS NOT DISTINCT FROM $2
+       AND (max_party_size IS NULL OR max_party_size >= $3)
+       AND ($4::integer IS NULL OR min_party_size <= $4)
+       AND ($5::integer IS NULL OR id != $5)`,
+    [restaurant_id, day_of_week, min_party_size, max_party_size, excludeId]
+  )
+  return result.rows[0] || null
+}
+
+// Get turn times for staff's restaurant
+app.get('/api/staff/settings/turn-times', authenticateStaffToken, async (req, res) => {
   try {
-    const { id } = req.params
     const { restaurant_id } = req.staff
 
-    // Get reservation details first for notification
-    const reservationResult = await pool.query(
-      `SELECT r.*, rest.name as restaurant_name, c.email as customer_email
-       FROM reservation r
-       LEFT JOIN restaurant rest ON r.restaurant_id = rest.id
-       LEFT JOIN customer c ON c.id = r.customer_id
-       WHERE r.id = $1 AND r.restaurant_id = $2`,
-      [id, restaurant_id]
+    const result = await pool.query(
+      `SELECT * FROM turn_time
+       WHERE restaurant_id = $1
+       ORDER BY day_of_week NULLS FIRST, min_party_size`,
+      [restaurant_id]
     )
 
-    if (reservationResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Reservation not found' })
+    res.json({
+      default_duration_minutes: DEFAULT_DINING_MINUTES,
+      turn_times: result.rows
+    })
+  } catch (error) {
+    console.error('Get turn times error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Add a turn time (manager)
+app.post('/api/staff/settings/turn-times', authenticateStaffToken, requireManager, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
+    const rule = {
+      min_party_size: Number(req.body.min_party_size),
+      max_party_size: req.body.max_party_size == null ? null : Number(req.body.max_party_size),
+      day_of_week: req.body.day_of_week == null ? null : Number(req.body.day_of_week),
+      duration_minutes: Number(req.body.duration_minutes)
     }
 
-    const reservation = reservationResult.rows[0]
+    const validationError = validateTurnTime(rule)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    if (await findOverlappingTurnTime(pool, restaurant_id, rule)) {
+      return res.status(400).json({ error: 'This party size range overlaps an existing turn time for the same day' })
+    }
 
     const result = await pool.query(
-      `UPDATE reservation 
-       SET status = 'cancelled',
-           cancellation_reason = NULL
-       WHERE id = $1 AND restaurant_id = $2 AND status = 'cancellation_requested'
+      `INSERT INTO turn_time (restaurant_id, min_party_size, max_party_size, day_of_week, duration_minutes)
+       VALUES ($1, $2, $3, $4, $5)
        RETURNING *`,
-      [id, restaurant_id]
+      [restaurant_id, rule.min_party_size, rule.max_party_size, rule.day_of_week, rule.duration_minutes]
     )
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Cancellation request not found or already processed' })
-    }
-
-    // Send notification to customer about approved cancellation
-    if (reservation.customer_id) {
-      await createCustomerNotification(pool, {
-        customer_id: reservation.customer_id,
-        type: 'cancellation_approved',
-        title: 'Cancellation Approved',
-        message: `Your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${reservation.reservation_date} at ${reservation.reservation_time} has been cancelled as requested.`,
-        reservation_id: id
-      })
-    }
-
-    res.json({
-      message: 'Cancellation approved',
-      reservation: result.rows[0]
+    res.status(201).json({
+      message: 'Turn time added successfully',
+      turn_time: result.rows[0]
     })
   } catch (error) {
-    console.error('Approve cancellation error:', error)
+    console.error('Add turn time error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Reject cancellation request (staff)
-app.post('/api/staff/reservations/:id/reject-cancellation', authenticateStaffToken, async (req, res) => {
+// Update a turn time (manager)
+app.put('/api/staff/settings/turn-times/:id', authenticateStaffToken, requireManager, async (req, res) => {
   try {
-    const { id } = req.params
     const { restaurant_id } = req.staff
+    const { id } = req.params
 
-    // Get reservation details first for notification
-    const reservationResult = await pool.query(
-      `SELECT r.*, rest.name as restaurant_name, c.email as customer_email
-       FROM reservation r
-       LEFT JOIN restaurant rest ON r.restaurant_id = rest.id
-       LEFT JOIN customer c ON c.id = r.customer_id
-       WHERE r.id = $1 AND r.restaurant_id = $2`,
+    const existing = await pool.query(
+      'SELECT * FROM turn_time WHERE id = $1 AND restaurant_id = $2',
       [id, restaurant_id]
     )
 
-    if (reservationResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Reservation not found' })
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Turn time not found' })
     }
 
-    const reservation = reservationResult.rows[0]
-
-    const result = await pool.query(
-      `UPDATE reservation 
-       SET status = 'confirmed',
-           cancellation_reason = NULL
-       WHERE id = $1 AND restaurant_id = $2 AND status = 'cancellation_requested'
-       RETURNING *`,
-      [id, restaurant_id]
-    )
+    // Fields left out of the body keep their current values
+    const current = existing.rows[0]
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const rule = {
+      min_party_size: Number(pick('min_party_size')),
+      max_party_size: pick('max_party_size') === null ? null : Number(pick('max_party_size')),
+      day_of_week: pick('day_of_week') === null ? null : Number(pick('day_of_week')),
+      duration_minutes: Number(pick('duration_minutes'))
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Cancellation request not found or already processed' })
+    const validationError = validateTurnTime(rule)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
-    // Send notification to customer about rejected cancellation
-    if (reservation.customer_id) {
-      await createCustomerNotification(pool, {
-        customer_id: reservation.customer_id,
-        type: 'cancellation_rejected',
-        title: 'Cancellation Request Rejected',
-        message: `Your cancellation request for your reservation at ${reservation.restaurant_name || 'the restaurant'} on ${reservation.reservation_date} at ${reservation.reservation_time} has been rejected. Your reservation remains confirmed.`,
-        reservation_id: id
-      })
+    if (await findOverlappingTurnTime(pool, restaurant_id, rule, current.id)) {
+      return res.status(400).json({ error: 'This party size range overlaps an existing turn time for the same day' })
     }
 
+    const result = await pool.query(
+      `UPDATE turn_time
+       SET min_party_size = $1, max_party_size = $2, day_of_week = $3, duration_minutes = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND restaurant_id = $6
+       RETURNING *`,
+      [rule.min_party_size, rule.max_party_size, rule.day_of_week, rule.duration_minutes, id, restaurant_id]
+    )
+
     res.json({
-      message: 'Cancellation rejected, reservation confirmed',
-      reservation: result.rows[0]
+      message: 'Turn time updated successfully',
+      turn_time: result.rows[0]
     })
   } catch (error) {
-    console.error('Reject cancellation error:', error)
+    console.error('Update turn time error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get staff stats
-app.get('/api/staff/stats', authenticateStaffToken, async (req, res) => {
+// Delete a turn time (manager)
+app.delete('/api/staff/settings/turn-times/:id', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
+    const { id } = req.params
 
-    const [ordersResult, reservationsResult, revenueResult] = await Promise.all([
-      pool.query(
-        `SELECT COUNT(*) as total, 
-                COUNT(*) FILTER (WHERE status = 'pending') as pending,
-                COUNT(*) FILTER (WHERE status = 'completed') as completed
-         FROM orders 
-         WHERE restaurant_id = $1`,
-        [restaurant_id]
-      ),
-      pool.query(
-        `SELECT COUNT(*) as total,
-                COUNT(*) FILTER (WHERE status = 'pending') as pending,
-                COUNT(*) FILTER (WHERE status = 'confirmed') as confirmed
-         FROM reservation 
-         WHERE restaurant_id = $1`,
-        [restaurant_id]
-      ),
-      pool.query(
-        `SELECT COALESCE(SUM(total_amount), 0) as total_revenue
-         FROM orders 
-         WHERE restaurant_id = $1 AND status = 'completed'`,
-        [restaurant_id]
-      )
-    ])
+    const result = await pool.query(
+      'DELETE FROM turn_time WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
+    )
 
-    res.json({
-      orders: ordersResult.rows[0],
-      reservations: reservationsResult.rows[0],
-      revenue: revenueResult.rows[0].total_revenue
-    })
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Turn time not found' })
+    }
+
+    res.json({ message: 'Turn time deleted successfully' })
   } catch (error) {
-    console.error('Get staff stats error:', error)
+    console.error('Delete turn time error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// ============================================
-// NOTIFICATION ROUTES (Staff)
-// ============================================
-
-// Get notifications for staff
-app.get('/api/staff/notifications', authenticateStaffToken, async (req, res) => {
-  try {
-    const { restaurant_id } = req.staff
-    const { unread_only } = req.query
-
-    let query = `
-      SELECT n.*, r.reservation_date, r.reservation_time, r.party_size,
-             c.first_name || ' ' || c.last_name as customer_name
-      FROM notification n
-      LEFT JOIN reservation r ON r.id = n.reservation_id
-      LEFT JOIN customer c ON c.id = r.customer_id
-      WHERE n.restaurant_id = $1
-    `
-    const params = [restaurant_id]
+// Validate a pacing rule from the request body, returning an error message or null
+function validatePacingRule({ interval_minutes, max_covers, max_reservations, service_name }) {
+  if (![15, 30].includes(interval_minutes)) {
+    return 'Interval must be 15 or 30 minutes'
+  }
+  if (max_covers === null && max_reservations === null) {
+    return 'Set max_covers, max_reservations or both'
+  }
+  if (max_covers !== null && (!Number.isInteger(max_covers) || max_covers < 1)) {
+    return 'Max covers must be a positive whole number'
+  }
+  if (max_reservations !== null && (!Number.isInteger(max_reservations) || max_reservations < 1)) {
+    return 'Max reservations must be a positive whole number'
+  }
+  if (service_name && String(service_name).length > 50) {
+    return 'Service name must be 50 characters or fewer'
+  }
+  return null
+}
 
-    if (unread_only === 'true') {
-      query += ' AND n.is_read = false'
-    }
+// Get pacing rules for staff's restaurant
+app.get('/api/staff/settings/pacing-rules', authenticateStaffToken, async (req, res) => {
+  try {
+    const { restaurant_id } = req.staff
 
-    query += ' ORDER BY n.created_at DESC LIMIT 50'
+    const result = await pool.query(
+      'SELECT * FROM pacing_rule WHERE restaurant_id = $1 ORDER BY service_name NULLS FIRST, interval_minutes',
+      [restaurant_id]
+    )
 
-    const result = await pool.query(query, params)
     res.json(result.rows)
   } catch (error) {
-    console.error('Get notifications error:', error)
+    console.error('Get pacing rules error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get unread notification count
-app.get('/api/staff/notifications/count', authenticateStaffToken, async (req, res) => {
+// Add a pacing rule (manager)
+app.post('/api/staff/settings/pacing-rules', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
+    const rule = {
+      interval_minutes: Number(req.body.interval_minutes),
+      max_covers: req.body.max_covers == null ? null : Number(req.body.max_covers),
+      max_reservations: req.body.max_reservations == null ? null : Number(req.body.max_reservations),
+      service_name: req.body.service_name || null
+    }
+
+    const validationError = validatePacingRule(rule)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
 
     const result = await pool.query(
-      'SELECT COUNT(*) as count FROM notification WHERE restaurant_id = $1 AND is_read = false',
-      [restaurant_id]
+      `INSERT INTO pacing_rule (restaurant_id, interval_minutes, max_covers, max_reservations, service_name)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [restaurant_id, rule.interval_minutes, rule.max_covers, rule.max_reservations, rule.service_name]
     )
 
-    res.json({ count: parseInt(result.rows[0].count) })
+    res.status(201).json({
+      message: 'Pacing rule added successfully',
+      pacing_rule: result.rows[0]
+    })
   } catch (error) {
-    console.error('Get notification count error:', error)
+    console.error('Add pacing rule error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Mark notification as read
-app.put('/api/staff/notifications/:id/read', authenticateStaffToken, async (req, res) => {
+// Update a pacing rule (manager)
+app.put('/api/staff/settings/pacing-rules/:id', authenticateStaffToken, requireManager, async (req, res) => {
   try {
-    const { id } = req.params
     const { restaurant_id } = req.staff
+    const { id } = req.params
 
-    const result = await pool.query(
-      `UPDATE notification SET is_read = true WHERE id = $1 AND restaurant_id = $2 RETURNING *`,
+    const existing = await pool.query(
+      'SELECT * FROM pacing_rule WHERE id = $1 AND restaurant_id = $2',
       [id, restaurant_id]
     )
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Notification not found' })
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Pacing rule not found' })
     }
 
-    res.json({ message: 'Notification marked as read', notification: result.rows[0] })
+    // Fields left out of the body keep their current values
+    const current = existing.rows[0]
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const rule = {
+      interval_minutes: Number(pick('interval_minutes')),
+      max_covers: pick('max_covers') === null ? null : Number(pick('max_covers')),
+      max_reservations: pick('max_reservations') === null ? null : Number(pick('max_reservations')),
+      service_name: pick('service_name') || null
+    }
+
+    const validationError = validatePacingRule(rule)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const result = await pool.query(
+      `UPDATE pacing_rule
+       SET interval_minutes = $1, max_covers = $2, max_reservations = $3, service_name = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND restaurant_id = $6
+       RETURNING *`,
+      [rule.interval_minutes, rule.max_covers, rule.max_reservations, rule.service_name, id, restaurant_id]
+    )
+
+    res.json({
+      message: 'Pacing rule updated successfully',
+      pacing_rule: result.rows[0]
+    })
   } catch (error) {
-    console.error('Mark notification read error:', error)
+    console.error('Update pacing rule error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Mark all notifications as read
-app.put('/api/staff/notifications/read-all', authenticateStaffToken, async (req, res) => {
+// Delete a pacing rule (manager)
+app.delete('/api/staff/settings/pacing-rules/:id', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
+    const { id } = req.params
 
-    await pool.query(
-      'UPDATE notification SET is_read = true WHERE restaurant_id = $1',
-      [restaurant_id]
+    const result = await pool.query(
+      'DELETE FROM pacing_rule WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      [id, restaurant_id]
     )
 
-    res.json({ message: 'All notifications marked as read' })
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pacing rule not found' })
+    }
+
+    res.json({ message: 'Pacing rule deleted successfully' })
   } catch (error) {
-    console.error('Mark all notifications read error:', error)
+    console.error('Delete pacing rule error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Delete a notification
-app.delete('/api/staff/notifications/:id', authenticateStaffToken, async (req, res) => {
+// Validate cancellation policy hours; null turns a window off
+function validateCancellationPolicy({ free_cancellation_hours, cancellation_cutoff_hours }) {
+  for (const [label, value] of [['Free cancellation hours', free_cancellation_hours], ['Cancellation cutoff hours', cancellation_cutoff_hours]]) {
+    if (value !== null && (!Number.isInteger(value) || value < 0 || value > 720)) {
+      return `${label} must be a whole number between 0 and 720`
+    }
+  }
+  if (free_cancellation_hours !== null && cancellation_cutoff_hours !== null && cancellation_cutoff_hours > free_cancellation_hours) {
+    return 'The cancellation cutoff cannot be earlier than the free cancellation window'
+  }
+  return null
+}
+
+// Get the cancellation policy for staff's restaurant
+app.get('/api/staff/settings/cancellation-policy', authenticateStaffToken, async (req, res) => {
   try {
-    const { id } = req.params
     const { restaurant_id } = req.staff
 
     const result = await pool.query(
-      'DELETE FROM notification WHERE id = $1 AND restaurant_id = $2 RETURNING *',
-      [id, restaurant_id]
+      'SELECT free_cancellation_hours, cancellation_cutoff_hours FROM restaurant WHERE id = $1',
+      [restaurant_id]
     )
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Notification not found' })
+      return res.status(404).json({ error: 'Restaurant not found' })
     }
 
-    res.json({ message: 'Notification deleted' })
+    res.json(getCancellationPolicy(result.rows[0]))
   } catch (error) {
-    console.error('Delete notification error:', error)
+    console.error('Get cancellation policy error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// ============================================
-// STAFF MENU MANAGEMENT ROUTES
-// ============================================
-
-// Add menu category
-app.post('/api/staff/menu/categories', authenticateStaffToken, async (req, res) => {
+// Update the cancellation policy (manager)
+app.put('/api/staff/settings/cancellation-policy', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
-    const { name, description, display_order } = req.body
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Category name is required' })
+    const existing = await pool.query(
+      'SELECT free_cancellation_hours, cancellation_cutoff_hours FROM restaurant WHERE id = $1',
+      [restaurant_id]
+    )
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    // Fields left out of the body keep their current values
+    const current = existing.rows[0]
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const policy = {
+      free_cancellation_hours: pick('free_cancellation_hours') === null ? null : Number(pick('free_cancellation_hours')),
+      cancellation_cutoff_hours: pick('cancellation_cutoff_hours') === null ? null : Number(pick('cancellation_cutoff_hours'))
+    }
+
+    const validationError = validateCancellationPolicy(policy)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
     const result = await pool.query(
-      `INSERT INTO menu_category (restaurant_id, category_name, description, display_order)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [restaurant_id, name.trim(), description || null, display_order || 0]
+      `UPDATE restaurant
+       SET free_cancellation_hours = $1,
+           cancellation_cutoff_hours = $2
+       WHERE id = $3
+       RETURNING free_cancellation_hours, cancellation_cutoff_hours`,
+      [policy.free_cancellation_hours, policy.cancellation_cutoff_hours, restaurant_id]
     )
 
-    res.status(201).json({
-      message: 'Menu category created successfully',
-      category: result.rows[0]
+    res.json({
+      message: 'Cancellation policy updated successfully',
+      cancellation_policy: getCancellationPolicy(result.rows[0])
     })
   } catch (error) {
-    console.error('Add menu category error:', error)
+    console.error('Update cancellation policy error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get menu categories for staff's restaurant
-app.get('/api/staff/menu/categories', authenticateStaffToken, async (req, res) => {
+// Validate the no-show settings
+function validateNoShowPolicy({ no_show_grace_minutes, no_show_threshold, no_show_action, no_show_deposit_per_guest }) {
+  if (!Number.isInteger(no_show_grace_minutes) || no_show_grace_minutes < 0 || no_show_grace_minutes > 240) {
+    return 'Grace period must be a whole number of minutes between 0 and 240'
+  }
+  if (no_show_threshold !== null && (!Number.isInteger(no_show_threshold) || no_show_threshold < 1)) {
+    return 'No-show threshold must be a positive whole number'
+  }
+  if (no_show_action !== null && !['block', 'deposit'].includes(no_show_action)) {
+    return "No-show action must be 'block' or 'deposit'"
+  }
+  if ((no_show_threshold === null) !== (no_show_action === null)) {
+    return 'Set both no_show_threshold and no_show_action, or neither'
+  }
+  if (no_show_action === 'deposit' && (!Number.isFinite(no_show_deposit_per_guest) || no_show_deposit_per_guest <= 0 || no_show_deposit_per_guest > 10000)) {
+    return "The 'deposit' action needs a no_show_deposit_per_guest between 0 and 10000"
+  }
+  return null
+}
+
+// Get the no-show settings for staff's restaurant
+app.get('/api/staff/settings/no-show-policy', authenticateStaffToken, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
 
     const result = await pool.query(
-      `SELECT mc.*, COUNT(mi.id) as item_count
-       FROM menu_category mc
-       LEFT JOIN menu_item mi ON mi.category_id = mc.id
-       WHERE mc.restaurant_id = $1
-       GROUP BY mc.id
-       ORDER BY mc.display_order, mc.category_name`,
+      'SELECT no_show_grace_minutes, no_show_threshold, no_show_action, no_show_deposit_per_guest FROM restaurant WHERE id = $1',
       [restaurant_id]
     )
 
-    res.json(result.rows)
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    res.json(result.rows[0])
   } catch (error) {
-    console.error('Get menu categories error:', error)
+    console.error('Get no-show policy error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Add menu item
-app.post('/api/staff/menu/items', authenticateStaffToken, async (req, res) => {
+// Update the no-show settings (manager)
+app.put('/api/staff/settings/no-show-policy', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
-    const { category_id, name, description, price, image_url, is_available, preparation_time } = req.body
 
-    if (!category_id) {
-      return res.status(400).json({ error: 'Please select a category' })
-    }
+    const existing = await pool.query(
+      'SELECT no_show_grace_minutes, no_show_threshold, no_show_action, no_show_deposit_per_guest FROM restaurant WHERE id = $1',
+      [restaurant_id]
+    )
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Item name is required' })
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
     }
 
-    if (price === undefined || price === null || price < 0) {
-      return res.status(400).json({ error: 'Valid price is required' })
+    // Fields left out of the body keep their current values
+    const current = existing.rows[0]
+    const pick = (field) => req.body[field] === undefined ? current[field] : req.body[field]
+    const policy = {
+      no_show_grace_minutes: Number(pick('no_show_grace_minutes')),
+      no_show_threshold: pick('no_show_threshold') === null ? null : Number(pick('no_show_threshold')),
+      no_show_action: pick('no_show_action') || null,
+      no_show_deposit_per_guest: pick('no_show_deposit_per_guest') === null ? null : Number(pick('no_show_deposit_per_guest'))
     }
 
-    // Verify category belongs to this restaurant
-    const categoryCheck = await pool.query(
-      'SELECT id FROM menu_category WHERE id = $1 AND restaurant_id = $2',
-      [category_id, restaurant_id]
-    )
-
-    if (categoryCheck.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid category' })
+    const validationError = validateNoShowPolicy(policy)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
     const result = await pool.query(
-      `INSERT INTO menu_item (category_id, item_name, description, price, image_url, is_available)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
+      `UPDATE restaurant
+       SET no_show_grace_minutes = $1,
+           no_show_threshold = $2,
+           no_show_action = $3,
+           no_show_deposit_per_guest = $4
+       WHERE id = $5
+       RETURNING no_show_grace_minutes, no_show_threshold, no_show_action, no_show_deposit_per_guest`,
       [
-        category_id,
-        name.trim(),
-        description || null,
-        price,
-        image_url || null,
-        is_available !== false
+        policy.no_show_grace_minutes, policy.no_show_threshold, policy.no_show_action,
+        policy.no_show_action === 'deposit' ? policy.no_show_deposit_per_guest : null, restaurant_id
       ]
     )
 
-    res.status(201).json({
-      message: 'Menu item created successfully',
-      item: result.rows[0]
+    res.json({
+      message: 'No-show policy updated successfully',
+      no_show_policy: result.rows[0]
     })
   } catch (error) {
-    console.error('Add menu item error:', error)
+    console.error('Update no-show policy error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Get menu items for staff's restaurant
-app.get('/api/staff/menu/items', authenticateStaffToken, async (req, res) => {
+// Get the restaurant's calendar feed URL, creating its token on first use
+app.get('/api/staff/settings/calendar-feed', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
 
     const result = await pool.query(
-      `SELECT mi.*, mc.category_name as category_name
-       FROM menu_item mi
-       LEFT JOIN menu_category mc ON mc.id = mi.category_id
-       WHERE mc.restaurant_id = $1
-       ORDER BY mc.category_name, mi.item_name`,
-      [restaurant_id]
+      `UPDATE restaurant
+       SET calendar_feed_token = COALESCE(calendar_feed_token, $1)
+       WHERE id = $2
+       RETURNING calendar_feed_token`,
+      [crypto.randomBytes(24).toString('hex'), restaurant_id]
     )
 
-    res.json(result.rows)
+    res.json({
+      feed_url: `${process.env.API_URL}/api/restaurants/${restaurant_id}/calendar.ics?token=${result.rows[0].calendar_feed_token}`,
+      days_ahead: CALENDAR_FEED_DAYS
+    })
   } catch (error) {
-    console.error('Get menu items error:', error)
+    console.error('Get calendar feed error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Update menu item
-app.put('/api/staff/menu/items/:id', authenticateStaffToken, async (req, res) => {
+// Replace the calendar feed token, so the old feed URL stops working
+app.post('/api/staff/settings/calendar-feed/reset', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
-    const { id } = req.params
-    const { category_id, name, description, price, image_url, is_available, preparation_time } = req.body
-
-    // Verify menu item belongs to this restaurant
-    const itemCheck = await pool.query(
-      `SELECT id FROM menu_item 
-       WHERE id = $1 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $2)`,
-      [id, restaurant_id]
-    )
-
-    if (itemCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Menu item not found' })
-    }
 
     const result = await pool.query(
-      `UPDATE menu_item
-       SET category_id = COALESCE($1, category_id),
-           item_name = COALESCE($2, item_name),
-           description = COALESCE($3, description),
-           price = COALESCE($4, price),
-           image_url = COALESCE($5, image_url),
-           is_available = COALESCE($6, is_available),
-           preparation_time = COALESCE($7, preparation_time),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $8 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $9)
-       RETURNING *`,
-      [category_id, name, description, price, image_url, is_available, preparation_time, id, restaurant_id]
+      'UPDATE restaurant SET calendar_feed_token = $1 WHERE id = $2 RETURNING calendar_feed_token',
+      [crypto.randomBytes(24).toString('hex'), restaurant_id]
     )
 
     res.json({
-      message: 'Menu item updated successfully',
-      item: result.rows[0]
+      message: 'Calendar feed URL reset. Subscribe again with the new URL.',
+      feed_url: `${process.env.API_URL}/api/restaurants/${restaurant_id}/calendar.ics?token=${result.rows[0].calendar_feed_token}`,
+      days_ahead: CALENDAR_FEED_DAYS
     })
   } catch (error) {
-    console.error('Update menu item error:', error)
+    console.error('Reset calendar feed error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Delete menu item
-app.delete('/api/staff/menu/items/:id', authenticateStaffToken, async (req, res) => {
-  try {
-    const { restaurant_id } = req.staff
-    const { id } = req.params
-
-    // Delete menu item through category to verify restaurant ownership
-    const result = await pool.query(
-      `DELETE FROM menu_item 
-       WHERE id = $1 AND category_id IN (SELECT id FROM menu_category WHERE restaurant_id = $2)
-       RETURNING *`,
-      [id, restaurant_id]
-    )
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Menu item not found' })
-    }
-
-    res.json({ message: 'Menu item deleted successfully' })
-  } catch (error) {
-    console.error('Delete menu item error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+// Validate a deposit rule; day_of_week, start_time and end_time are optional filters
+function validateDepositRule({ amount_per_guest, min_party_size, day_of_week, start_time, end_time }) {
+  if (!Number.isFinite(amount_per_guest) || amount_per_guest <= 0 || amount_per_guest > 10000) {
+    return 'Amount per guest must be greater than 0 and at most 10000'
   }
-})
+  if (!Number.isInteger(min_party_size) || min_party_size < 1) {
+    return 'Minimum party size must be a positive whole number'
+  }
+  if (day_of_week !== null && (!Number.isInteger(day_of_week) || day_of_week < 0 || day_of_week > 6)) {
+    return 'Day of week must be between 0 (Sunday) and 6 (Saturday)'
+  }
+  if ((start_time !== null && !isValidTimeString(start_time)) || (end_time !== null && !isValidTimeString(end_time))) {
+    return 'Start and end times must be in HH:MM format'
+  }
+  if (start_time !== null && end_time !== null && timeToMinutes(end_time) <= timeToMinutes(start_time)) {
+    return 'End time must be after start time'
+  }
+  return null
+}
 
-// ============================================
-// STAFF TABLE MANAGEMENT ROUTES
-// ============================================
+// Read a deposit rule from the request body, falling back to current values
+function readDepositRule(body, current = {}) {
+  const pick = (field, fallback = null) => body[field] === undefined ? (current[field] ?? fallback) : body[field]
+  const toTime = (value) => value === null ? null : String(value).slice(0, 5)
+  return {
+    amount_per_guest: Number(pick('amount_per_guest')),
+    min_party_size: Number(pick('min_party_size', 1)),
+    day_of_week: pick('day_of_week') === null ? null : Number(pick('day_of_week')),
+    start_time: toTime(pick('start_time')),
+    end_time: toTime(pick('end_time')),
+    is_active: pick('is_active', true) !== false
+  }
+}
 
-// Get all tables for staff's restaurant
-app.get('/api/staff/tables', authenticateStaffToken, async (req, res) => {
+// Get deposit rules for staff's restaurant
+app.get('/api/staff/settings/deposit-rules', authenticateStaffToken, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
 
     const result = await pool.query(
-      `SELECT * FROM "table" 
-       WHERE restaurant_id = $1 
-       ORDER BY table_number`,
+      'SELECT * FROM deposit_rule WHERE restaurant_id = $1 ORDER BY day_of_week NULLS FIRST, start_time NULLS FIRST, min_party_size',
       [restaurant_id]
     )
 
     res.json(result.rows)
   } catch (error) {
-    console.error('Get tables error:', error)
+    console.error('Get deposit rules error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Add a new table
-app.post('/api/staff/tables', authenticateStaffToken, async (req, res) => {
+// Add a deposit rule (manager)
+app.post('/api/staff/settings/deposit-rules', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
-    const { table_number, capacity, location } = req.body
+    const rule = readDepositRule(req.body)
 
-    if (!table_number || !table_number.trim()) {
-      return res.status(400).json({ error: 'Table number is required' })
-    }
-
-    if (!capacity || capacity < 1 || capacity > 8) {
-      return res.status(400).json({ error: 'Capacity must be between 1 and 8' })
-    }
-
-    // Check if table number already exists for this restaurant
-    const existingTable = await pool.query(
-      'SELECT id FROM "table" WHERE restaurant_id = $1 AND table_number = $2',
-      [restaurant_id, table_number.trim()]
-    )
-
-    if (existingTable.rows.length > 0) {
-      return res.status(400).json({ error: 'Table number already exists' })
+    const validationError = validateDepositRule(rule)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
     const result = await pool.query(
-      `INSERT INTO "table" (restaurant_id, table_number, capacity, location, is_available)
-       VALUES ($1, $2, $3, $4, true)
+      `INSERT INTO deposit_rule (restaurant_id, amount_per_guest, min_party_size, day_of_week, start_time, end_time, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [restaurant_id, table_number.trim(), capacity, location || null]
+      [restaurant_id, rule.amount_per_guest, rule.min_party_size, rule.day_of_week, rule.start_time, rule.end_time, rule.is_active]
     )
 
     res.status(201).json({
-      message: 'Table added successfully',
-      table: result.rows[0]
+      message: 'Deposit rule added successfully',
+      deposit_rule: result.rows[0]
     })
   } catch (error) {
-    console.error('Add table error:', error)
+    console.error('Add deposit rule error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Update a table
-app.put('/api/staff/tables/:id', authenticateStaffToken, async (req, res) => {
+// Update a deposit rule (manager)
+app.put('/api/staff/settings/deposit-rules/:id', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
     const { id } = req.params
-    const { table_number, capacity, location, is_available } = req.body
-
-    if (!table_number || !table_number.trim()) {
-      return res.status(400).json({ error: 'Table number is required' })
-    }
-
-    if (!capacity || capacity < 1 || capacity > 8) {
-      return res.status(400).json({ error: 'Capacity must be between 1 and 8' })
-    }
 
-    // Check if table exists and belongs to this restaurant
-    const tableCheck = await pool.query(
-      'SELECT id FROM "table" WHERE id = $1 AND restaurant_id = $2',
+    const existing = await pool.query(
+      'SELECT * FROM deposit_rule WHERE id = $1 AND restaurant_id = $2',
       [id, restaurant_id]
     )
 
-    if (tableCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Table not found' })
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Deposit rule not found' })
     }
 
-    // Check if table number already exists for another table
-    const existingTable = await pool.query(
-      'SELECT id FROM "table" WHERE restaurant_id = $1 AND table_number = $2 AND id != $3',
-      [restaurant_id, table_number.trim(), id]
-    )
+    // Fields left out of the body keep their current values
+    const rule = readDepositRule(req.body, existing.rows[0])
 
-    if (existingTable.rows.length > 0) {
-      return res.status(400).json({ error: 'Table number already exists' })
+    const validationError = validateDepositRule(rule)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
     }
 
     const result = await pool.query(
-      `UPDATE "table"
-       SET table_number = $1, capacity = $2, location = $3, is_available = $4
-       WHERE id = $5 AND restaurant_id = $6
+      `UPDATE deposit_rule
+       SET amount_per_guest = $1,
+           min_party_size = $2,
+           day_of_week = $3,
+           start_time = $4,
+           end_time = $5,
+           is_active = $6
+       WHERE id = $7 AND restaurant_id = $8
        RETURNING *`,
-      [table_number.trim(), capacity, location, is_available !== false, id, restaurant_id]
+      [rule.amount_per_guest, rule.min_party_size, rule.day_of_week, rule.start_time, rule.end_time, rule.is_active, id, restaurant_id]
     )
 
     res.json({
-      message: 'Table updated successfully',
-      table: result.rows[0]
+      message: 'Deposit rule updated successfully',
+      deposit_rule: result.rows[0]
     })
   } catch (error) {
-    console.error('Update table error:', error)
+    console.error('Update deposit rule error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
 
-// Delete a table
-app.delete('/api/staff/tables/:id', authenticateStaffToken, async (req, res) => {
+// Delete a deposit rule (manager)
+app.delete('/api/staff/settings/deposit-rules/:id', authenticateStaffToken, requireManager, async (req, res) => {
   try {
     const { restaurant_id } = req.staff
     const { id } = req.params
 
     const result = await pool.query(
-      'DELETE FROM "table" WHERE id = $1 AND restaurant_id = $2 RETURNING *',
+      'DELETE FROM deposit_rule WHERE id = $1 AND restaurant_id = $2 RETURNING *',
       [id, restaurant_id]
     )
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Table not found' })
+      return res.status(404).json({ error: 'Deposit rule not found' })
     }
 
-    res.json({ message: 'Table deleted successfully' })
+    res.json({ message: 'Deposit rule deleted successfully' })
   } catch (error) {
-    console.error('Delete table error:', error)
+    console.error('Delete deposit rule error:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 })
@@ -2311,7 +8022,7 @@ app.get('/api/admin/reservations', authenticateAdminToken, async (req, res) => {
   try {
     const { status } = req.query
     let query = `
-      SELECT r.*, rest.name as restaurant_name, c.first_name || ' ' || c.last_name as customer_name
+      SELECT r.*, rest.name as restaurant_name, COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name
       FROM reservation r
       LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
       LEFT JOIN customer c ON c.id = r.customer_id
@@ -2430,6 +8141,35 @@ app.put('/api/admin/restaurants/:id', authenticateAdminToken, async (req, res) =
       is_active
     } = req.body
 
+    // Cancellation policy hours are optional; null switches a window off
+    const policyFields = ['free_cancellation_hours', 'cancellation_cutoff_hours']
+      .filter(field => req.body[field] !== undefined)
+    if (policyFields.length > 0) {
+      const existing = await pool.query(
+        'SELECT free_cancellation_hours, cancellation_cutoff_hours FROM restaurant WHERE id = $1',
+        [id]
+      )
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Restaurant not found' })
+      }
+
+      const policy = { ...existing.rows[0] }
+      for (const field of policyFields) {
+        policy[field] = req.body[field] === null ? null : Number(req.body[field])
+      }
+
+      const validationError = validateCancellationPolicy(policy)
+      if (validationError) {
+        return res.status(400).json({ error: validationError })
+      }
+
+      await pool.query(
+        'UPDATE restaurant SET free_cancellation_hours = $1, cancellation_cutoff_hours = $2 WHERE id = $3',
+        [policy.free_cancellation_hours, policy.cancellation_cutoff_hours, id]
+      )
+    }
+
     // Handle is_active separately since it's a boolean toggle
     let updateQuery = `
        SET name = COALESCE($1, name),
@@ -2491,6 +8231,103 @@ app.delete('/api/admin/restaurants/:id', authenticateAdminToken, async (req, res
   }
 })
 
+// Get restaurant opening hours (admin)
+app.get('/api/admin/restaurants/:id/opening-hours', authenticateAdminToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const restaurantCheck = await pool.query('SELECT id FROM restaurant WHERE id = $1', [id])
+    if (restaurantCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    res.json(await getOpeningHours(pool, id))
+  } catch (error) {
+    console.error('Get admin opening hours error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Replace restaurant weekly schedule (admin)
+app.put('/api/admin/restaurants/:id/opening-hours', authenticateAdminToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { periods } = req.body
+
+    const restaurantCheck = await pool.query('SELECT id FROM restaurant WHERE id = $1', [id])
+    if (restaurantCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    const validationError = validateServicePeriods(periods, { withDay: true })
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    await replaceWeeklySchedule(pool, id, periods)
+
+    res.json({
+      message: 'Opening hours updated successfully',
+      ...(await getOpeningHours(pool, id))
+    })
+  } catch (error) {
+    console.error('Update admin opening hours error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Set a closure or special hours for one date (admin)
+app.post('/api/admin/restaurants/:id/opening-hours/exceptions', authenticateAdminToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const restaurantCheck = await pool.query('SELECT id FROM restaurant WHERE id = $1', [id])
+    if (restaurantCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' })
+    }
+
+    const validationError = validateOpeningHoursException(req.body)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    await replaceOpeningHoursException(pool, id, req.body)
+
+    res.status(201).json({
+      message: 'Opening hours exception saved successfully',
+      ...(await getOpeningHours(pool, id))
+    })
+  } catch (error) {
+    console.error('Save admin opening hours exception error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+// Remove the exception for one date (admin)
+app.delete('/api/admin/restaurants/:id/opening-hours/exceptions/:date', authenticateAdminToken, async (req, res) => {
+  try {
+    const { id, date } = req.params
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ error: 'Invalid date' })
+    }
+
+    const result = await pool.query(
+      'DELETE FROM opening_hours_exception WHERE restaurant_id = $1 AND exception_date = $2 RETURNING *',
+      [id, date]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Opening hours exception not found' })
+    }
+
+    res.json({ message: 'Opening hours exception deleted successfully' })
+  } catch (error) {
+    console.error('Delete admin opening hours exception error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 // Get all staff (admin)
 app.get('/api/admin/staff', authenticateAdminToken, async (req, res) => {
   try {
@@ -2728,7 +8565,7 @@ app.get('/api/admin/analytics/recent-reservations', authenticateAdminToken, asyn
     const { limit = 20 } = req.query
 
     const result = await pool.query(
-      `SELECT r.*, rest.name as restaurant_name, c.first_name || ' ' || c.last_name as customer_name
+      `SELECT r.*, rest.name as restaurant_name, COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as customer_name
        FROM reservation r
        LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
        LEFT JOIN customer c ON c.id = r.customer_id
@@ -2979,6 +8816,203 @@ const HITPAY_BASE_URL = HITPAY_MODE === 'sandbox'
   ? 'https://api.sandbox.hit-pay.com/v1/payment-requests'
   : 'https://api.hit-pay.com/v1/payment-requests'
 
+// Send a payment request to HitPay. Returns { ok, status, data } with HitPay's response.
+async function createHitPayPaymentRequest(paymentData) {
+  const timestamp = Date.now().toString()
+
+  // Generate signature from request body
+  const signature = crypto
+    .createHmac('sha256', HITPAY_SALT)
+    .update(JSON.stringify(paymentData))
+    .digest('hex')
+
+  console.log('Creating HitPay payment:', paymentData)
+
+  const response = await fetch(HITPAY_BASE_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-BUSINESS-API-KEY': HITPAY_API_KEY,
+      'X-REQUEST-SIGNATURE': signature,
+      'X-REQUEST-TIMESTAMP': timestamp,
+    },
+    body: JSON.stringify(paymentData),
+  })
+
+  const data = await response.json()
+
+  console.log('HitPay API response:', data)
+  console.log('Response status:', response.status)
+
+  return { ok: response.ok, status: response.status, data }
+}
+
+// Ask HitPay for a payment request's current status, mapped to ours.
+// Returns null if HitPay could not be reached.
+async function getHitPayPaymentStatus(payment_id) {
+  const signature = crypto
+    .createHmac('sha256', HITPAY_SALT)
+    .update(payment_id)
+    .digest('hex')
+
+  const response = await fetch(`${HITPAY_BASE_URL}/${encodeURIComponent(payment_id)}`, {
+    method: 'GET',
+    headers: {
+      'X-BUSINESS-API-KEY': HITPAY_API_KEY,
+      'X-REQUEST-SIGNATURE': signature,
+      'X-REQUEST-TIMESTAMP': Date.now().toString(),
+    },
+  })
+
+  if (!response.ok) {
+    return null
+  }
+
+  const data = await response.json()
+  const statusMap = {
+    'completed': 'completed',
+    'success': 'completed',
+    'succeeded': 'completed',
+    'pending': 'pending',
+    'failed': 'failed',
+    'expired': 'expired',
+  }
+  return statusMap[data.status?.toLowerCase()] || 'pending'
+}
+
+// Create a HitPay payment request for a reservation's deposit.
+// Returns { payment_id, payment_url, expires_at } or { error } if it could not be created.
+async function createDepositPayment(pool, reservation) {
+  try {
+    const customerResult = await pool.query(
+      `SELECT COALESCE(r.guest_email, c.email) as email,
+              COALESCE(r.guest_name, c.first_name || ' ' || c.last_name) as name,
+              rest.name as restaurant_name
+       FROM reservation r
+       LEFT JOIN customer c ON c.id = r.customer_id
+       LEFT JOIN restaurant rest ON rest.id = r.restaurant_id
+       WHERE r.id = $1`,
+      [reservation.id]
+    )
+    const customer = customerResult.rows[0]
+
+    const { ok, data } = await createHitPayPaymentRequest({
+      email: customer.email,
+      name: customer.name || 'Customer',
+      amount: Number(reservation.deposit_amount).toFixed(2),
+      currency: 'MYR',
+      reference_number: `RES-${reservation.id}-${Date.now()}`,
+      description: `Deposit for ${reservation.party_size} guest(s) at ${customer.restaurant_name} on ${toDateString(reservation.reservation_date)}`,
+      callback_url: `${process.env.API_URL}/api/payments/hitpay/callback`,
+      redirect_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/payment-success?reservation_id=${reservation.id}`,
+      payment_methods: ['card', 'fpx'],
+    })
+
+    if (!ok) {
+      console.error('HitPay deposit request error:', data)
+      return { error: data.message || 'Failed to create deposit payment' }
+    }
+
+    await pool.query(
+      `INSERT INTO payment_transactions (reservation_id, payment_id, payment_url, amount, currency, status, payment_method, customer_email, customer_name, created_at)
+       VALUES ($1, $2, $3, $4, 'MYR', 'pending', 'hitpay', $5, $6, NOW())`,
+      [reservation.id, data.id, data.url, reservation.deposit_amount, customer.email, customer.name]
+    )
+
+    return {
+      payment_id: data.id,
+      payment_url: data.url,
+      expires_at: reservation.deposit_expires_at
+    }
+  } catch (error) {
+    console.error('Deposit payment creation error:', error)
+    return { error: 'Failed to create deposit payment' }
+  }
+}
+
+// Mark a reservation's deposit as paid and confirm the booking. A payment that
+// arrives after the hold was released is flagged for a refund instead.
+async function confirmDepositPayment(pool, reservation_id) {
+  const result = await pool.query(
+    `UPDATE reservation
+     SET deposit_status = CASE WHEN status = 'awaiting_deposit' AND deposit_status = 'pending' THEN 'paid' ELSE 'refund_due' END
+     WHERE id = $1 AND deposit_status IN ('pending', 'expired')
+     RETURNING *`,
+    [reservation_id]
+  )
+
+  if (result.rows.length === 0) {
+    return
+  }
+
+  const reservation = result.rows[0]
+  if (reservation.deposit_status === 'refund_due') {
+    console.error(`❌ Deposit paid for reservation ${reservation_id} after its hold was released - refund required`)
+    await createNotification(pool, {
+      restaurant_id: reservation.restaurant_id,
+      type: 'reservation_cancelled',
+      title: 'Late Deposit Needs Refund',
+      message: `A deposit of ${reservation.deposit_amount} was paid for reservation #${reservation.id} after the table was released. Please refund it.`,
+      reservation_id: reservation.id
+    })
+    return
+  }
+
+  await changeReservationStatus(pool, {
+    reservation_id,
+    to_status: 'confirmed',
+    actor_type: 'system',
+    note: 'Deposit paid'
+  })
+
+  if (reservation.customer_id) {
+    await createCustomerNotification(pool, {
+      customer_id: reservation.customer_id,
+      type: 'reservation_confirmed',
+      title: 'Reservation Confirmed',
+      message: `Thanks for your deposit! Your reservation on ${toDateString(reservation.reservation_date)} at ${minutesToTime(timeToMinutes(reservation.reservation_time))} is confirmed.`,
+      reservation_id: reservation.id
+    })
+  }
+  console.log(`✅ Reservation ${reservation_id} confirmed after deposit payment`)
+}
+
+// Start (or restart) the deposit payment for a reservation awaiting its deposit (customer)
+app.post('/api/reservations/:id/deposit', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const result = await pool.query(
+      `SELECT *, deposit_expires_at < NOW() as is_expired
+       FROM reservation WHERE id = $1 AND customer_id = $2`,
+      [id, req.user.id]
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' })
+    }
+
+    const reservation = result.rows[0]
+    if (reservation.status !== 'awaiting_deposit' || reservation.deposit_status !== 'pending') {
+      return res.status(409).json({ error: 'This reservation is not awaiting a deposit' })
+    }
+
+    if (reservation.is_expired) {
+      return res.status(410).json({ error: 'The time to pay this deposit has run out' })
+    }
+
+    const payment = await createDepositPayment(pool, reservation)
+    if (payment.error) {
+      return res.status(502).json({ error: payment.error })
+    }
+
+    res.json({ amount: reservation.deposit_amount, ...payment })
+  } catch (error) {
+    console.error('Create deposit payment error:', error)
+    res.status(500).json({ error: 'Failed to create payment' })
+  }
+})
+
 // Create HitPay payment request
 app.post('/api/payments/hitpay/create', authenticateToken, async (req, res) => {
   try {
@@ -2990,9 +9024,6 @@ app.post('/api/payments/hitpay/create', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: order_id, amount, customer_email' })
     }
 
-    // Generate HMAC SHA-256 signature for the request body
-    const timestamp = Date.now().toString()
-    
     // Ensure description is not empty
     const finalDescription = (description && description.trim() !== '') ? description.trim() : `Order #${order_id}`;
     
@@ -3009,30 +9040,9 @@ app.post('/api/payments/hitpay/create', authenticateToken, async (req, res) => {
       payment_methods: ['card', 'fpx'], // Cards and FPX (TNG may not be available in sandbox)
     }
 
-    // Generate signature from request body
-    const signature = crypto
-      .createHmac('sha256', HITPAY_SALT)
-      .update(JSON.stringify(paymentData))
-      .digest('hex')
-
-    console.log('Creating HitPay payment:', paymentData)
-
     // Make request to HitPay API
-    const response = await fetch(HITPAY_BASE_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-BUSINESS-API-KEY': HITPAY_API_KEY,
-        'X-REQUEST-SIGNATURE': signature,
-        'X-REQUEST-TIMESTAMP': timestamp,
-      },
-      body: JSON.stringify(paymentData),
-    })
-
-    const responseData = await response.json()
-
-    console.log('HitPay API response:', responseData)
-    console.log('Response status:', response.status)
+    const response = await createHitPayPaymentRequest(paymentData)
+    const responseData = response.data
 
     if (!response.ok) {
       console.error('HitPay API error:', responseData)
@@ -3102,6 +9112,25 @@ app.post('/api/payments/hitpay/callback', async (req, res) => {
 
     console.log(`Processing payment ${payment_id}: HitPay status="${status}" → mapped to "${mappedStatus}"`)
 
+    // First get the order_id (or reservation_id for deposits) from payment_transactions
+    const orderResult = await pool.query(
+      'SELECT order_id, reservation_id FROM payment_transactions WHERE payment_id = $1',
+      [payment_id]
+    )
+
+    // The webhook body is unsigned, so a paid deposit (which confirms the booking)
+    // is only accepted once HitPay itself reports the payment request as completed
+    if (mappedStatus === 'completed' && orderResult.rows[0]?.reservation_id) {
+      const verifiedStatus = await getHitPayPaymentStatus(payment_id)
+      if (verifiedStatus === null) {
+        return res.status(502).json({ error: 'Could not verify payment with HitPay' })
+      }
+      if (verifiedStatus !== 'completed') {
+        console.error(`❌ Deposit callback for ${payment_id} claimed "${status}" but HitPay reports "${verifiedStatus}"`)
+        return res.status(400).json({ error: 'Payment is not completed' })
+      }
+    }
+
     // Update payment transaction
     await pool.query(
       `UPDATE payment_transactions 
@@ -3114,13 +9143,9 @@ app.post('/api/payments/hitpay/callback', async (req, res) => {
     if (mappedStatus === 'completed') {
       console.log(`Payment ${payment_id} is completed, looking up order...`)
 
-      // First get the order_id from payment_transactions
-      const orderResult = await pool.query(
-        'SELECT order_id FROM payment_transactions WHERE payment_id = $1',
-        [payment_id]
-      )
-
-      if (orderResult.rows.length > 0) {
+      if (orderResult.rows.length > 0 && orderResult.rows[0].reservation_id) {
+        await confirmDepositPayment(pool, orderResult.rows[0].reservation_id)
+      } else if (orderResult.rows.length > 0) {
         const order_id = orderResult.rows[0].order_id
         console.log(`Found order_id: ${order_id}, updating payment status...`)
 
@@ -3205,8 +9230,10 @@ app.get('/api/payments/hitpay/status/:payment_id', authenticateToken, async (req
               [mappedStatus, payment_id]
             )
 
-            // If payment completed, update order payment status
-            if (mappedStatus === 'completed') {
+            // If payment completed, confirm the deposit or update order payment status
+            if (mappedStatus === 'completed' && dbPayment.reservation_id) {
+              await confirmDepositPayment(pool, dbPayment.reservation_id)
+            } else if (mappedStatus === 'completed') {
               await pool.query(
                 `UPDATE orders SET payment_status = 'paid', payment_method = 'hitpay', updated_at = NOW() WHERE id = $1`,
                 [dbPayment.order_id]
@@ -3298,6 +9325,183 @@ app.get('/api/payments', authenticateToken, async (req, res) => {
 })
 
 // ============ END HITPAY INTEGRATION ============
+
+// ============================================
+// SCHEDULED JOBS
+// ============================================
+
+// How often the local server runs the jobs. On Vercel they are triggered by
+// the cron entry in vercel.json calling /api/cron/jobs instead.
+const SCHEDULED_JOBS_INTERVAL_MINUTES = 5
+
+// Mark confirmed reservations as no-shows once the restaurant's grace period
+// has passed without the party being seated. Returns the number marked.
+async function markNoShows(pool, now = new Date()) {
+  const { date, minutes } = getLocalNow(now)
+  const localNow = `${date} ${minutesToTime(minutes)}`
+  const overdue = await pool.query(
+    `SELECT r.id, COALESCE(rest.no_show_grace_minutes, 15) as grace_minutes
+     FROM reservation r
+     JOIN restaurant rest ON rest.id = r.restaurant_id
+     WHERE r.status = 'confirmed'
+       AND r.reservation_date + r.reservation_time
+           + make_interval(mins => COALESCE(rest.no_show_grace_minutes, 15)) < $1::timestamp`,
+    [localNow]
+  )
+
+  let marked = 0
+  for (const reservation of overdue.rows) {
+    // The lifecycle check skips any reservation seated since the query ran
+    const change = await changeReservationStatus(pool, {
+      reservation_id: reservation.id,
+      to_status: 'no-show',
+      actor_type: 'system',
+      note: `Not seated within ${reservation.grace_minutes} minutes of the booking time`
+    })
+    if (!change.error) {
+      marked++
+    }
+  }
+
+  return marked
+}
+
+// Expire waitlist offers that were not claimed in time and pass each slot on
+// to the next person waiting. Returns the number expired.
+async function expireWaitlistOffers(pool) {
+  const expired = await pool.query(
+    `UPDATE waitlist_entry
+     SET status = 'expired', updated_at = NOW()
+     WHERE status = 'offered' AND offer_expires_at < NOW()
+     RETURNING restaurant_id, TO_CHAR(preferred_date, 'YYYY-MM-DD') as preferred_date, offered_time`
+  )
+
+  for (const entry of expired.rows) {
+    await offerFreedSlot(pool, {
+      restaurant_id: entry.restaurant_id,
+      reservation_date: entry.preferred_date,
+      reservation_time: entry.offered_time
+    })
+  }
+
+  return expired.rows.length
+}
+
+// Release the tables held by online bookings whose deposit was not paid in time.
+// Returns the number released.
+async function expireUnpaidDeposits(pool) {
+  const expired = await pool.query(
+    `UPDATE reservation
+     SET deposit_status = 'expired'
+     WHERE status = 'awaiting_deposit' AND deposit_status = 'pending' AND deposit_expires_at < NOW()
+     RETURNING id, customer_id, reservation_date, reservation_time`
+  )
+
+  for (const reservation of expired.rows) {
+    await changeReservationStatus(pool, {
+      reservation_id: reservation.id,
+      to_status: 'cancelled',
+      actor_type: 'system',
+      note: 'Deposit not paid in time'
+    })
+
+    if (reservation.customer_id) {
+      await createCustomerNotification(pool, {
+        customer_id: reservation.customer_id,
+        type: 'reservation_cancelled',
+        title: 'Reservation Released',
+        message: `Your reservation on ${toDateString(reservation.reservation_date)} at ${minutesToTime(timeToMinutes(reservation.reservation_time))} was released because the deposit was not paid in time.`,
+        reservation_id: reservation.id
+      })
+    }
+  }
+
+  return expired.rows.length
+}
+
+// Give confirmation codes to reservations made before codes existed, a batch
+// per run. Returns the number of reservations updated.
+async function backfillConfirmationCodes(pool) {
+  const missing = await pool.query(
+    'SELECT id FROM reservation WHERE confirmation_code IS NULL ORDER BY id LIMIT 500'
+  )
+
+  let updated = 0
+  for (const { id } of missing.rows) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await pool.query(
+          'UPDATE reservation SET confirmation_code = $1 WHERE id = $2 AND confirmation_code IS NULL',
+          [generateConfirmationCode(), id]
+        )
+        updated += result.rowCount
+        break
+      } catch (error) {
+        if (error.code !== '23505' || error.constraint !== 'reservation_confirmation_code_key' || attempt >= 5) {
+          throw error
+        }
+      }
+    }
+  }
+
+  return updated
+}
+
+// Forget failed booking lookups once they no longer count towards the limit.
+// Returns the number deleted.
+async function deleteOldLookupAttempts(pool) {
+  const result = await pool.query(
+    'DELETE FROM reservation_lookup_attempt WHERE created_at < NOW() - make_interval(mins => $1)',
+    [LOOKUP_ATTEMPT_WINDOW_MINUTES]
+  )
+  return result.rowCount
+}
+
+// Delete table holds that expired without being booked. Returns the number deleted.
+async function deleteExpiredHolds(pool) {
+  const result = await pool.query('DELETE FROM reservation_hold WHERE expires_at < NOW()')
+  return result.rowCount
+}
+
+// Run every scheduled job. Each job is isolated so one failure does not stop the rest.
+async function runScheduledJobs(pool) {
+  const results = {}
+  const jobs = {
+    no_shows: markNoShows,
+    expired_waitlist_offers: expireWaitlistOffers,
+    expired_deposits: expireUnpaidDeposits,
+    expired_holds: deleteExpiredHolds,
+    confirmation_codes: backfillConfirmationCodes,
+    old_lookup_attempts: deleteOldLookupAttempts
+  }
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      results[name] = await job(pool)
+    } catch (error) {
+      console.error(`Scheduled job ${name} error:`, error)
+      results[name] = null
+    }
+  }
+
+  console.log('⏰ Scheduled jobs finished:', results)
+  return results
+}
+
+// Run the scheduled jobs (Vercel cron). Vercel sends CRON_SECRET as a bearer token.
+app.get('/api/cron/jobs', async (req, res) => {
+  try {
+    if (!process.env.CRON_SECRET || req.headers['authorization'] !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    res.json(await runScheduledJobs(pool))
+  } catch (error) {
+    console.error('Run scheduled jobs error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 // In Vercel, this file is exported as a handlers
 // Only start server if running locally (not in Vercel)
 if (process.env.VERCEL !== '1') {
@@ -3307,6 +9511,8 @@ if (process.env.VERCEL !== '1') {
     console.log(`✅ Admin routes: /api/admin/login, /api/admin/stats, etc.`)
     console.log(`✅ Staff routes: /api/staff/login, /api/staff/orders, etc.`)
   })
+
+  setInterval(() => runScheduledJobs(pool), SCHEDULED_JOBS_INTERVAL_MINUTES * 60 * 1000)
 }
 
 // Export for Vercel
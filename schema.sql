@@ -17,10 +17,35 @@ CREATE TABLE restaurant (
     closing_time TIME NOT NULL,
     max_capacity INTEGER,
     image_url VARCHAR(500),
+    free_cancellation_hours INTEGER CHECK (free_cancellation_hours >= 0),      -- cancel automatically this far ahead (NULL = never)
+    cancellation_cutoff_hours INTEGER CHECK (cancellation_cutoff_hours >= 0),  -- refuse cancellations closer than this (NULL = never)
+    no_show_grace_minutes INTEGER DEFAULT 15 CHECK (no_show_grace_minutes >= 0),  -- minutes after booking time before a no-show
+    no_show_threshold INTEGER CHECK (no_show_threshold > 0),                     -- no-shows before no_show_action applies
+    no_show_action VARCHAR(20) CHECK (no_show_action IN ('block', 'deposit')),
+    no_show_deposit_per_guest DECIMAL(10,2) CHECK (no_show_deposit_per_guest > 0),  -- deposit asked of customers over the threshold
+    calendar_feed_token VARCHAR(64),  -- secret in the staff iCal feed URL
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: dining_area
+-- Areas of the restaurant tables belong to (Indoor, Terrace, Bar, Private Room)
+-- ============================================
+CREATE TABLE dining_area (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    description TEXT,
+    is_smoking BOOLEAN DEFAULT false,
+    is_outdoor BOOLEAN DEFAULT false,
+    is_wheelchair_accessible BOOLEAN DEFAULT false,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (restaurant_id, name)
+);
+
 -- ============================================
 -- TABLE: table_location
 -- Restaurant tables with seating capacity
@@ -32,6 +57,7 @@ CREATE TABLE table_location (
     capacity INTEGER NOT NULL CHECK (capacity > 0),
     location_x INTEGER,
     location_y INTEGER,
+    dining_area_id INTEGER REFERENCES dining_area(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -48,6 +74,25 @@ CREATE TABLE customer (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: reservation_series
+-- A recurring booking; each occurrence is a reservation row with series_id set
+-- ============================================
+CREATE TABLE reservation_series (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    customer_id VARCHAR(50) REFERENCES customer(id) ON DELETE CASCADE,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    start_date DATE NOT NULL,
+    until_date DATE,  -- either an end date or a number of occurrences
+    occurrence_count INTEGER,
+    reservation_time TIME NOT NULL,
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'partially_cancelled', 'cancelled')),
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- TABLE: reservation
 -- Customer reservations
@@ -61,11 +106,25 @@ CREATE TABLE reservation (
     reservation_time TIME NOT NULL,
     party_size INTEGER NOT NULL CHECK (party_size > 0),
     status VARCHAR(50) DEFAULT 'pending' CHECK (status IN (
-        'pending', 'confirmed', 'cancelled', 'completed', 'cancellation_requested', 'no-show'
+        'awaiting_deposit', 'pending', 'confirmed', 'seated', 'cancelled', 'completed', 'cancellation_requested', 'no-show'
     )),
     cancellation_reason VARCHAR(500),
     special_requests TEXT,
     total_amount DECIMAL(10,2) DEFAULT 0,
+    source VARCHAR(20) DEFAULT 'online' CHECK (source IN ('online', 'phone', 'walk_in', 'event')),
+    guest_name VARCHAR(100),  -- phone/walk-in guests without an account
+    guest_phone VARCHAR(20),
+    guest_email VARCHAR(100),
+    created_by_staff_id INTEGER,  -- staff.id for phone and walk-in bookings
+    deposit_amount DECIMAL(10,2),  -- NULL when no deposit is required
+    deposit_status VARCHAR(20) CHECK (deposit_status IN ('pending', 'paid', 'expired', 'refund_due')),
+    deposit_expires_at TIMESTAMP,  -- unpaid deposits release the table after this
+    confirmation_code VARCHAR(8) UNIQUE,  -- short code quoted by guests, e.g. 'K7QM3X'
+    arrived_at TIMESTAMP,  -- set at check-in
+    seated_at TIMESTAMP,
+    cleared_at TIMESTAMP,  -- table cleared; seated_at to cleared_at is the actual turn time
+    area_preference_id INTEGER REFERENCES dining_area(id) ON DELETE SET NULL,  -- requested dining area
+    series_id INTEGER REFERENCES reservation_series(id) ON DELETE SET NULL,  -- recurring bookings
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -100,6 +159,62 @@ CREATE TABLE menu_item (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: menu_option_group
+-- Modifier groups on a menu item (e.g. doneness, sides)
+-- ============================================
+CREATE TABLE menu_option_group (
+    id SERIAL PRIMARY KEY,
+    menu_item_id INTEGER REFERENCES menu_item(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_required BOOLEAN DEFAULT false,
+    min_selections INTEGER DEFAULT 0 CHECK (min_selections >= 0),
+    max_selections INTEGER DEFAULT 1 CHECK (max_selections >= 1),
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (max_selections >= min_selections)
+);
+
+-- ============================================
+-- TABLE: menu_option
+-- Choices within an option group, priced on top of the item
+-- ============================================
+CREATE TABLE menu_option (
+    id SERIAL PRIMARY KEY,
+    group_id INTEGER REFERENCES menu_option_group(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) DEFAULT 0 CHECK (price_delta >= 0),
+    is_available BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: cart
+-- A customer's basket at one restaurant
+-- ============================================
+CREATE TABLE cart (
+    id SERIAL PRIMARY KEY,
+    customer_id VARCHAR(50) REFERENCES customer(id) ON DELETE CASCADE,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: cart_item
+-- Menu items in a cart
+-- ============================================
+CREATE TABLE cart_item (
+    id SERIAL PRIMARY KEY,
+    cart_id INTEGER REFERENCES cart(id) ON DELETE CASCADE,
+    item_id INTEGER REFERENCES menu_item(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    special_instruction TEXT,
+    option_ids INTEGER[] NOT NULL DEFAULT '{}',  -- chosen menu_option ids, sorted
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- TABLE: orders
 -- Customer food orders
@@ -132,6 +247,20 @@ CREATE TABLE order_item (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: order_item_option
+-- Options chosen for an order item, copied at order time
+-- ============================================
+CREATE TABLE order_item_option (
+    id SERIAL PRIMARY KEY,
+    order_item_id INTEGER REFERENCES order_item(id) ON DELETE CASCADE,
+    option_id INTEGER REFERENCES menu_option(id) ON DELETE SET NULL,
+    group_name VARCHAR(100) NOT NULL,
+    option_name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- TABLE: staff
 -- Restaurant staff accounts
@@ -169,7 +298,7 @@ CREATE TABLE notification (
     id SERIAL PRIMARY KEY,
     restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
     customer_id VARCHAR(50) REFERENCES customer(id) ON DELETE CASCADE,
-    type VARCHAR(50) NOT NULL CHECK (type IN ('reservation_new', 'reservation_cancelled', 'cancellation_request', 'cancellation_approved', 'cancellation_rejected', 'order_new', 'reservation_confirmed')),
+    type VARCHAR(50) NOT NULL CHECK (type IN ('reservation_new', 'reservation_cancelled', 'cancellation_request', 'cancellation_approved', 'cancellation_rejected', 'order_new', 'reservation_confirmed', 'waitlist_offer', 'reservation_modified', 'event_enquiry', 'event_quote')),
     title VARCHAR(200) NOT NULL,
     message TEXT NOT NULL,
     reservation_id INTEGER REFERENCES reservation(id) ON DELETE CASCADE,
@@ -266,6 +395,7 @@ Restaurant Reservation System ER Diagram:
 CREATE TABLE payment_transactions (
     id SERIAL PRIMARY KEY,
     order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    reservation_id INTEGER REFERENCES reservation(id) ON DELETE CASCADE,  -- set for reservation deposits
     payment_id VARCHAR(100) UNIQUE NOT NULL,
     reference_number VARCHAR(100),
     amount DECIMAL(10,2) NOT NULL,
@@ -279,6 +409,247 @@ CREATE TABLE payment_transactions (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: turn_time
+-- How long a party keeps its table, by party size and optionally weekday
+-- ============================================
+CREATE TABLE turn_time (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    min_party_size INTEGER NOT NULL CHECK (min_party_size > 0),
+    max_party_size INTEGER CHECK (max_party_size >= min_party_size),  -- NULL = no upper limit
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),  -- 0 = Sunday, NULL = every day
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: opening_hours
+-- Weekly schedule; a day can have several service periods (e.g. lunch and dinner)
+-- and a day without rows is closed. Restaurants with no rows at all fall back
+-- to restaurant.opening_time/closing_time.
+-- ============================================
+CREATE TABLE opening_hours (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),  -- 0 = Sunday
+    service_name VARCHAR(50),  -- e.g. Lunch, Dinner
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL CHECK (close_time > open_time),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: opening_hours_exception
+-- Dated closures (public holidays) or special hours that replace the weekly schedule
+-- ============================================
+CREATE TABLE opening_hours_exception (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    exception_date DATE NOT NULL,
+    is_closed BOOLEAN DEFAULT FALSE,
+    service_name VARCHAR(50),
+    open_time TIME,
+    close_time TIME,
+    note VARCHAR(200),  -- e.g. Hari Raya Aidilfitri
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (is_closed OR (open_time IS NOT NULL AND close_time > open_time))
+);
+
+-- ============================================
+-- TABLE: pacing_rule
+-- Caps on guests/bookings arriving in any 15 or 30 minute window,
+-- optionally limited to one service period (matched by service_name)
+-- ============================================
+CREATE TABLE pacing_rule (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    interval_minutes INTEGER NOT NULL CHECK (interval_minutes IN (15, 30)),
+    max_covers INTEGER CHECK (max_covers > 0),
+    max_reservations INTEGER CHECK (max_reservations > 0),
+    service_name VARCHAR(50),  -- NULL = applies to every service
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (max_covers IS NOT NULL OR max_reservations IS NOT NULL)
+);
+
+-- ============================================
+-- TABLE: table_combination
+-- Adjacent tables that staff allow to be joined for larger parties
+-- ============================================
+CREATE TABLE table_combination (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    name VARCHAR(50),
+    table_ids INTEGER[] NOT NULL,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),  -- may be less than the sum of the tables
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: reservation_table
+-- Every table assigned to a reservation (reservation.table_id holds the first one)
+-- ============================================
+CREATE TABLE reservation_table (
+    reservation_id INTEGER REFERENCES reservation(id) ON DELETE CASCADE,
+    table_id INTEGER REFERENCES table_location(id) ON DELETE CASCADE,
+    PRIMARY KEY (reservation_id, table_id)
+);
+
+-- ============================================
+-- TABLE: waitlist_entry
+-- Customers waiting for a fully booked date; a cancellation inside their
+-- time window is offered to the earliest entry with a time-limited claim token
+-- ============================================
+CREATE TABLE waitlist_entry (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    customer_id VARCHAR(50) REFERENCES customer(id) ON DELETE CASCADE,
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    preferred_date DATE NOT NULL,
+    window_start TIME NOT NULL,
+    window_end TIME NOT NULL CHECK (window_end >= window_start),
+    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+    offered_time TIME,
+    offer_token VARCHAR(64) UNIQUE,
+    offer_expires_at TIMESTAMP,
+    reservation_id INTEGER REFERENCES reservation(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: reservation_status_history
+-- Every reservation status change, with who made it
+-- (changed_by_id is a customer id, a staff id, a guest's email or phone,
+-- or NULL for the system)
+-- ============================================
+CREATE TABLE reservation_status_history (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER REFERENCES reservation(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),  -- NULL when the reservation is created
+    to_status VARCHAR(50) NOT NULL,
+    changed_by_type VARCHAR(20) NOT NULL CHECK (changed_by_type IN ('customer', 'guest', 'staff', 'system')),
+    changed_by_id VARCHAR(50),
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: deposit_rule
+-- Per-guest deposit for online bookings; optional day and time filters.
+-- The highest matching amount applies.
+-- ============================================
+CREATE TABLE deposit_rule (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    amount_per_guest DECIMAL(10,2) NOT NULL CHECK (amount_per_guest > 0),
+    min_party_size INTEGER DEFAULT 1 CHECK (min_party_size > 0),
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),  -- NULL = every day
+    start_time TIME,  -- NULL = from opening
+    end_time TIME,    -- NULL = until closing
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: reservation_hold
+-- Tables held for a few minutes while a customer completes a booking;
+-- the availability engine treats unexpired holds as taken
+-- ============================================
+CREATE TABLE reservation_hold (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    customer_id VARCHAR(50) REFERENCES customer(id) ON DELETE CASCADE,
+    hold_token VARCHAR(64) UNIQUE NOT NULL,
+    reservation_date DATE NOT NULL,
+    reservation_time TIME NOT NULL,
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    table_ids INTEGER[] NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: guest_verification
+-- One-time codes guests use to prove their email or phone before booking
+-- without an account (only a hash of the code is stored)
+-- ============================================
+CREATE TABLE guest_verification (
+    id SERIAL PRIMARY KEY,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms')),
+    destination VARCHAR(100) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: table_block
+-- A table taken out of service for a period (maintenance, private events)
+-- ============================================
+CREATE TABLE table_block (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    table_id INTEGER REFERENCES table_location(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    reason VARCHAR(255),
+    created_by_staff_id INTEGER,
+    reservation_id INTEGER REFERENCES reservation(id) ON DELETE CASCADE,  -- set for event bookings
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- ============================================
+-- TABLE: event_enquiry
+-- Large-party and private-event enquiries, the restaurant's quote and the booking it became
+-- ============================================
+CREATE TABLE event_enquiry (
+    id SERIAL PRIMARY KEY,
+    restaurant_id INTEGER REFERENCES restaurant(id) ON DELETE CASCADE,
+    customer_id VARCHAR(50) REFERENCES customer(id) ON DELETE CASCADE,
+    event_date DATE NOT NULL,
+    event_time TIME NOT NULL,
+    guest_count INTEGER NOT NULL CHECK (guest_count > 0),
+    budget DECIMAL(10,2),
+    set_menu_interest BOOLEAN DEFAULT false,
+    is_full_venue BOOLEAN DEFAULT false,
+    occasion VARCHAR(100),
+    notes TEXT,
+    status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('submitted', 'quoted', 'accepted', 'declined', 'withdrawn')),
+    set_menu TEXT,
+    price_per_guest DECIMAL(10,2),
+    minimum_spend DECIMAL(10,2),
+    deposit_amount DECIMAL(10,2),
+    duration_minutes INTEGER CHECK (duration_minutes > 0),
+    table_ids INTEGER[],  -- tables blocked for the event once the quote is accepted
+    quote_notes TEXT,
+    quote_expires_at TIMESTAMP,
+    quoted_by_staff_id INTEGER,
+    quoted_at TIMESTAMP,
+    decline_reason VARCHAR(500),
+    reservation_id INTEGER REFERENCES reservation(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: reservation_lookup_attempt
+-- Failed public booking lookups, used to rate-limit guessing confirmation codes
+-- ============================================
+CREATE TABLE reservation_lookup_attempt (
+    id SERIAL PRIMARY KEY,
+    ip_address VARCHAR(45),
+    confirmation_code VARCHAR(8),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- COMMON QUERIES
 -- ============================================
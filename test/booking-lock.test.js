@@ -0,0 +1,104 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { withBookingLock } from '../booking-lock.js'
+
+const PARALLEL_BOOKINGS = 8
+
+// A stand-in for pg's Pool. As in Postgres, pg_advisory_xact_lock waits while
+// another transaction holds the same key, and COMMIT or ROLLBACK releases it.
+function createFakePool() {
+  const locks = new Map()
+  const statements = []
+
+  return {
+    statements,
+    async connect() {
+      let unlock = null
+      return {
+        async query(sql, params) {
+          statements.push(sql)
+          if (sql.includes('pg_advisory_xact_lock')) {
+            const key = params.join(':')
+            const previous = locks.get(key) || Promise.resolve()
+            const held = new Promise(resolve => { unlock = resolve })
+            locks.set(key, previous.then(() => held))
+            await previous
+          } else if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+            unlock?.()
+            unlock = null
+          }
+          return { rows: [] }
+        },
+        release() {}
+      }
+    }
+  }
+}
+
+// Book the one table for a slot the way bookReservation does: check it is free,
+// then insert. The pause between the two is where parallel requests interleave.
+function bookTable(bookings, guest) {
+  return async () => {
+    const taken = bookings.length > 0
+    await new Promise(resolve => setImmediate(resolve))
+    if (taken) {
+      return { status: 409, error: 'This table is not available for the selected time slot.' }
+    }
+    bookings.push(guest)
+    return { reservation: { guest } }
+  }
+}
+
+test('parallel bookings without the lock all book the same table', async () => {
+  const bookings = []
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL_BOOKINGS }, (_, i) => bookTable(bookings, i)())
+  )
+
+  assert.equal(results.filter(result => result.reservation).length, PARALLEL_BOOKINGS)
+})
+
+test('parallel bookings for the same slot give one reservation and 409s for the rest', async () => {
+  const pool = createFakePool()
+  const bookings = []
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL_BOOKINGS }, (_, i) =>
+      withBookingLock(pool, { restaurant_id: 1, date: '2026-11-20' }, bookTable(bookings, i))
+    )
+  )
+
+  assert.equal(results.filter(result => result.reservation).length, 1)
+  assert.deepEqual(
+    results.filter(result => result.error).map(result => result.status),
+    Array(PARALLEL_BOOKINGS - 1).fill(409)
+  )
+  assert.equal(bookings.length, 1)
+})
+
+test('bookings for different dates do not wait for each other', async () => {
+  const pool = createFakePool()
+  const bookings = { '2026-11-20': [], '2026-11-21': [] }
+  const results = await Promise.all(
+    Object.keys(bookings).map(date =>
+      withBookingLock(pool, { restaurant_id: 1, date }, bookTable(bookings[date], date))
+    )
+  )
+
+  assert.ok(results.every(result => result.reservation))
+})
+
+test('an error result rolls back and a thrown error releases the lock', async () => {
+  const pool = createFakePool()
+  const slot = { restaurant_id: 1, date: '2026-11-20' }
+
+  const refused = await withBookingLock(pool, slot, async () => ({ status: 409, error: 'Taken' }))
+  assert.equal(refused.status, 409)
+  assert.equal(pool.statements.at(-1), 'ROLLBACK')
+
+  await assert.rejects(withBookingLock(pool, slot, async () => { throw new Error('Insert failed') }))
+  assert.equal(pool.statements.at(-1), 'ROLLBACK')
+
+  const booked = await withBookingLock(pool, slot, async () => ({ reservation: { id: 1 } }))
+  assert.deepEqual(booked, { reservation: { id: 1 } })
+  assert.equal(pool.statements.at(-1), 'COMMIT')
+})